@@ -4,15 +4,83 @@
 
 import { logger, LogLevels } from './utils/logger.js';
 import { MCPError, ErrorCodes, errorHandler } from './utils/errors.js';
-import { validateToolRegistration, validateToolExecution, validateSettings } from './utils/validation.js';
+import {
+    validateToolRegistration,
+    validateToolUnregistration,
+    validateToolExecution,
+    validateToolResult,
+    validateToolCallResult,
+    isStructuredResult,
+    validateJsonRpcMessage,
+    validateToolCall,
+    validateTokenCreation,
+    validateApprovalDecision,
+    validateCancellation,
+    validateToolProgress,
+    validateHistoryQuery,
+    validateSettings,
+    validateResourceRegistration,
+    validateResourceUnregistration,
+    validateResourceReference,
+    validateResourceRead,
+    validateResourceResult,
+    validateResourceContents,
+    validatePromptRegistration,
+    validatePromptUnregistration,
+    validatePromptGet,
+    validatePromptRequest
+} from './utils/validation.js';
+import { validateSchema } from './utils/schema.js';
+import { createToolRegistry, toDefinition } from './utils/registry.js';
+import { createResourceRegistry, toResourceDefinition } from './utils/resources.js';
+import { createPromptRegistry, toPromptDefinition } from './utils/prompts.js';
+import { BUILTIN_OWNER, BUILTIN_TOOLS, BUILTIN_RESOURCES, BUILTIN_RESOURCE_TOOLS } from './utils/builtins.js';
+import { SCRIPT_OWNER, runScript } from './utils/sandbox.js';
+import { createExecutionHistory } from './utils/history.js';
+import { readSettingsFile, writeSettingsFile } from './utils/storage.js';
+import { getDefaultSettings, mergeSettings, diffSettings, getRestartRequired } from './utils/settings.js';
+import { StdioClient } from './utils/stdio.js';
+import { Actions, assertAllowed, isAllowed, matchesAny } from './utils/permissions.js';
+import {
+    CloseCodes,
+    generateToken,
+    createTokenRecord,
+    findTokenRecord,
+    toPublicTokenRecord,
+    getRequestToken,
+    isOriginAllowed,
+    safeEqual
+} from './utils/auth.js';
+import {
+    PROTOCOL_VERSIONS,
+    isValidId,
+    isJsonRpcMessage,
+    isResponse,
+    createNotification,
+    createResponse,
+    createErrorResponse
+} from './utils/jsonrpc.js';
 import express from 'express';
 import { WebSocketServer, WebSocket } from 'ws';
 import path from 'path';
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import { isDeepStrictEqual } from 'util';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Directory for files the plugin writes at runtime, MCP_EXTENSION_DATA_DIR moves it elsewhere
+ */
+const DATA_DIR = process.env.MCP_EXTENSION_DATA_DIR ?? path.join(__dirname, 'data');
+
+/**
+ * File that stores settings changed at runtime
+ */
+const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
+
 /**
  * Plugin manifest
  */
@@ -29,22 +97,55 @@ export const manifest = {
 };
 
 /**
- * Default settings
+ * Default settings, declared with the settings schema in manifest.json
  */
-const DEFAULT_SETTINGS = {
-    websocket: {
-        port: 5005
-    },
-    logging: {
-        level: 'info'
-    }
-};
+const DEFAULT_SETTINGS = getDefaultSettings();
 
 /**
  * Plugin state
  */
-let settings = { ...DEFAULT_SETTINGS };
+let settings = getDefaultSettings();
 let wsServer = null;
+const toolRegistry = createToolRegistry();
+const resourceRegistry = createResourceRegistry();
+const promptRegistry = createPromptRegistry();
+const pendingExecutions = new Map();
+const pendingReads = new Map();
+const pendingApprovals = new Map();
+const executions = new Map();
+const clients = new Map();
+const sessions = new Map();
+const mcpServers = new Map();
+const history = createExecutionHistory(path.join(DATA_DIR, 'history.jsonl'));
+let settingsWrites = Promise.resolve();
+
+// Defaults merged with the plugin config, the base that stored changes apply to
+let configuredSettings = getDefaultSettings();
+
+// Callbacks run whenever an execution finishes
+const executionListeners = new Set();
+
+// Closed connections whose tools, resources and prompts are kept for a reconnect, with { identity, timer, moved }
+const departedOwners = new Map();
+
+// Token for the settings UI, regenerated on every start
+const uiToken = generateToken();
+
+/**
+ * Idle time after which Streamable HTTP sessions expire, in milliseconds
+ */
+const SESSION_TTL = 30 * 60 * 1000;
+
+/**
+ * Interval between SSE keep-alive comments, in milliseconds
+ */
+const SSE_KEEPALIVE_INTERVAL = 25000;
+
+/**
+ * Milliseconds the registrations of a connection closed by a port move are
+ * kept for its reconnect, used when websocket.reconnectGrace is shorter
+ */
+const MOVE_RECONNECT_GRACE = 60 * 1000;
 
 /**
  * Initialize plugin
@@ -53,74 +154,329 @@ let wsServer = null;
 export async function init(pluginConfig) {
     logger.info('Initializing MCP Extension');
     
-    // Load and validate settings
-    const newSettings = {
-        ...DEFAULT_SETTINGS,
-        ...pluginConfig
-    };
+    // Load and validate settings, stored changes take precedence over the plugin config
+    configuredSettings = mergeSettings(DEFAULT_SETTINGS, pluginConfig ?? {});
+    const newSettings = mergeSettings(configuredSettings, await loadStoredSettings());
     validateSettings(newSettings);
     settings = newSettings;
 
     // Update log level
     logger.setLevel(settings.logging.level);
 
+    // Load execution history
+    history.configure(settings.history);
+    await history.load();
+
     // Initialize WebSocket server
-    initWebSocketServer();
+    try {
+        wsServer = await startWebSocketServer(settings.websocket.port);
+    } catch (error) {
+        logger.error('Failed to initialize WebSocket server:', error);
+    }
+
+    // Built-in and script tools claim their names before MCP servers are imported
+    syncBuiltins();
+    syncScriptTools();
+
+    // Start configured stdio MCP servers
+    await syncMcpServers();
 }
 
 /**
- * Initialize WebSocket server
+ * Load settings saved by a previous run
+ *
+ * A file that cannot be read is moved aside so it is not overwritten by the
+ * next save.
+ * @returns {Promise<object>} Stored settings, or an empty object
  */
-function initWebSocketServer() {
-    if (wsServer) {
-        logger.info('Shutting down existing WebSocket server');
-        wsServer.close();
+async function loadStoredSettings() {
+    try {
+        const stored = await readSettingsFile(SETTINGS_FILE);
+        if (!stored) return {};
+
+        validateSettings(mergeSettings(DEFAULT_SETTINGS, stored.settings));
+        if (stored.migrated) {
+            await writeSettingsFile(SETTINGS_FILE, stored.settings);
+        }
+        logger.info('Loaded stored settings');
+        return stored.settings;
+    } catch (error) {
+        logger.error('Ignoring invalid settings file', error);
+        await fs.rename(SETTINGS_FILE, `${SETTINGS_FILE}.invalid`).catch(() => {});
+        return {};
     }
+}
 
-    try {
-        wsServer = new WebSocketServer({ port: settings.websocket.port });
-        
-        wsServer.on('listening', () => {
-            logger.info(`WebSocket server listening on port ${settings.websocket.port}`);
+/**
+ * Save the changes made to the settings through the API
+ *
+ * Only what differs from the defaults and plugin config is stored, so later
+ * changes to either still apply to the settings nobody changed. Writes are
+ * queued so that concurrent changes are stored in order.
+ * @returns {Promise<void>} Resolves when the settings are on disk
+ */
+function persistSettings() {
+    const snapshot = diffSettings(configuredSettings, settings);
+    settingsWrites = settingsWrites
+        .catch(() => {})
+        .then(() => writeSettingsFile(SETTINGS_FILE, snapshot));
+    return settingsWrites;
+}
+
+/**
+ * Start a WebSocket server
+ * @param {number} port Port to listen on
+ * @returns {Promise<WebSocketServer>} Server, once it is listening
+ * @throws {Error} If the port cannot be bound
+ */
+function startWebSocketServer(port) {
+    return new Promise((resolve, reject) => {
+        const server = new WebSocketServer({
+            port,
+            // Clients may opt into JSON-RPC up front with the "mcp" subprotocol
+            handleProtocols: (protocols) => protocols.has('mcp') ? 'mcp' : false
         });
 
-        wsServer.on('connection', handleWebSocketConnection);
+        const onStartError = (error) => {
+            server.close();
+            reject(error);
+        };
+        server.once('error', onStartError);
 
-        wsServer.on('error', (error) => {
-            logger.error('WebSocket server error:', error);
+        server.on('listening', () => {
+            logger.info(`WebSocket server listening on port ${port}`);
+            server.off('error', onStartError);
+            server.on('error', (error) => {
+                logger.error('WebSocket server error:', error);
+            });
+            resolve(server);
         });
+
+        server.on('connection', handleWebSocketConnection);
+    });
+}
+
+/**
+ * Move the WebSocket server to a new port without dropping running executions
+ *
+ * The new server is bound before the old one stops accepting connections.
+ * Clients of the old server are told where to reconnect and are closed once
+ * the executions they take part in have finished.
+ * @param {object} options WebSocket settings to apply
+ * @param {number} options.port New port
+ * @param {number} options.drainTimeout Milliseconds old connections may stay open
+ * @returns {Promise<void>} Resolves once the new server is listening
+ * @throws {MCPError} If the new port cannot be bound, in which case the old server keeps running
+ */
+async function moveWebSocketServer({ port, drainTimeout }) {
+    let server;
+    try {
+        server = await startWebSocketServer(port);
     } catch (error) {
-        logger.error('Failed to initialize WebSocket server:', error);
+        throw new MCPError(
+            ErrorCodes.SERVER_ERROR,
+            `Failed to listen on port ${port}: ${error.message}`,
+            { port }
+        );
+    }
+
+    const previous = wsServer;
+    wsServer = server;
+    if (!previous) return;
+
+    logger.info(`WebSocket server moved to port ${port}`);
+    previous.close();
+    for (const ws of previous.clients) {
+        const client = clients.get(ws);
+        if (client?.protocol === 'jsonrpc') {
+            client.send(createNotification('notifications/server_moving', { port }));
+        } else if (client?.protocol === 'legacy') {
+            sendMessage(ws, 'server_moving', { port });
+        }
+        drainConnection(ws, CloseCodes.SERVICE_RESTART, `Server moved to port ${port}`, drainTimeout);
+    }
+}
+
+/**
+ * Close a connection once it no longer takes part in a running execution
+ * @param {WebSocket} ws WebSocket connection
+ * @param {number} code Close code
+ * @param {string} reason Close reason
+ * @param {number} timeout Milliseconds to wait before closing anyway
+ * @returns {Promise<void>} Resolves when the close has started
+ */
+async function drainConnection(ws, code, reason, timeout) {
+    const client = clients.get(ws);
+    if (client) {
+        client.draining = true;
+    }
+
+    await waitForExecutions(() => !isConnectionBusy(ws), timeout);
+    ws.close(code, reason);
+}
+
+/**
+ * Check if a connection requested or is executing a running execution
+ * @param {WebSocket} ws WebSocket connection
+ * @returns {boolean} True if the connection is still needed
+ */
+function isConnectionBusy(ws) {
+    for (const { requester } of executions.values()) {
+        if (requester === ws || requester?.ws === ws) return true;
+    }
+    for (const { owner } of pendingExecutions.values()) {
+        if (owner === ws) return true;
+    }
+    return false;
+}
+
+/**
+ * Wait until running executions meet a condition
+ * @param {Function} condition Checked now and whenever an execution finishes
+ * @param {number} timeout Milliseconds to wait at most
+ * @returns {Promise<boolean>} True if the condition was met, false on timeout
+ */
+function waitForExecutions(condition, timeout) {
+    return new Promise((resolve) => {
+        const finish = (met) => {
+            clearTimeout(timer);
+            executionListeners.delete(check);
+            resolve(met);
+        };
+        const check = () => {
+            if (condition()) finish(true);
+        };
+        const timer = setTimeout(() => finish(false), timeout);
+
+        executionListeners.add(check);
+        check();
+    });
+}
+
+/**
+ * Authenticate a client from its upgrade or HTTP request
+ * @param {import('http').IncomingMessage} req Request
+ * @returns {object} Client identity { tokenId, name }
+ * @throws {MCPError} UNAUTHORIZED with details.closeCode if rejected
+ */
+function authenticateRequest(req) {
+    const { required = true, allowedOrigins = [], tokens = [] } = settings.auth ?? {};
+    const origin = req.headers.origin;
+
+    if (!isOriginAllowed(origin, allowedOrigins)) {
+        throw new MCPError(
+            ErrorCodes.UNAUTHORIZED,
+            `Origin not allowed: ${origin}`,
+            { closeCode: CloseCodes.FORBIDDEN }
+        );
+    }
+
+    const token = getRequestToken(req);
+    if (token && safeEqual(token, uiToken)) {
+        return { tokenId: 'ui', name: 'SillyTavern UI' };
+    }
+
+    const record = token ? findTokenRecord(tokens, token) : null;
+    if (record) {
+        return { tokenId: record.id, name: record.name };
+    }
+
+    if (required) {
+        throw new MCPError(
+            ErrorCodes.UNAUTHORIZED,
+            token ? 'Invalid token' : 'Missing token',
+            { closeCode: CloseCodes.UNAUTHORIZED }
+        );
     }
+
+    return { tokenId: null, name: 'anonymous' };
 }
 
 /**
  * Handle WebSocket connection
  * @param {WebSocket} ws WebSocket connection
+ * @param {import('http').IncomingMessage} req Upgrade request
  */
-function handleWebSocketConnection(ws) {
-    logger.debug('New WebSocket connection');
+function handleWebSocketConnection(ws, req) {
+    let identity;
+    try {
+        identity = authenticateRequest(req);
+    } catch (error) {
+        logger.warn(`Rejected WebSocket connection: ${error.message}`, {
+            address: req.socket.remoteAddress,
+            origin: req.headers.origin
+        });
+        ws.close(error.details.closeCode, error.message);
+        return;
+    }
+
+    logger.debug(`New WebSocket connection: ${identity.name}`);
+
+    const client = createClient(ws, identity);
+    clients.set(ws, client);
+    rebindMovedRegistrations(ws, identity);
 
     ws.on('message', async (data) => {
+        let message;
         try {
-            const message = JSON.parse(data.toString());
-            await handleWebSocketMessage(ws, message);
+            message = JSON.parse(data.toString());
         } catch (error) {
-            logger.error('Failed to handle WebSocket message:', error);
-            if (ws.readyState === WebSocket.OPEN) {
-                ws.send(JSON.stringify({
-                    type: 'error',
-                    error: {
-                        code: error.code || ErrorCodes.SERVER_ERROR,
-                        message: error.message
-                    }
-                }));
+            logger.error('Failed to parse WebSocket message:', error);
+            const parseError = new MCPError(ErrorCodes.PARSE_ERROR, 'Invalid JSON');
+            if (client.protocol === 'jsonrpc') {
+                client.send(createErrorResponse(null, parseError));
+            } else {
+                sendError(ws, parseError);
+            }
+            return;
+        }
+
+        // The first message selects the protocol unless the subprotocol already did
+        const jsonRpc = isJsonRpcMessage(message);
+        if (client.protocol === null) {
+            client.protocol = jsonRpc ? 'jsonrpc' : 'legacy';
+
+            // Legacy clients start from the current state
+            if (!jsonRpc && message?.type !== 'list_tools') {
+                sendMessage(ws, 'snapshot', getSnapshot(identity));
+            }
+        }
+
+        // Once chosen, the protocol stays, so the other protocol's messages are refused
+        if (jsonRpc !== (client.protocol === 'jsonrpc')) {
+            const error = new MCPError(
+                ErrorCodes.INVALID_REQUEST,
+                `Connection uses the ${client.protocol === 'jsonrpc' ? 'JSON-RPC' : 'legacy'} protocol`
+            );
+            if (client.protocol === 'jsonrpc') {
+                client.send(createErrorResponse(null, error));
+            } else {
+                sendError(ws, error);
+            }
+            return;
+        }
+
+        try {
+            if (client.protocol === 'jsonrpc') {
+                const response = await handleJsonRpcMessage(client, message);
+                if (response) {
+                    client.send(response);
+                }
+            } else {
+                await handleWebSocketMessage(ws, message);
             }
+        } catch (error) {
+            logger.error('Failed to handle WebSocket message:', error);
+            sendError(ws, error);
         }
     });
 
     ws.on('close', () => {
         logger.debug('WebSocket connection closed');
+        clients.delete(ws);
+        failPendingExecutions(ws, 'Tool provider disconnected');
+        failPendingReads(ws, 'Resource provider disconnected');
+        releaseRegistrations(ws, identity, client.draining && !client.rebound);
     });
 
     ws.on('error', (error) => {
@@ -134,15 +490,114 @@ function handleWebSocketConnection(ws) {
  * @param {object} message Message object
  */
 async function handleWebSocketMessage(ws, message) {
+    const { identity } = clients.get(ws);
+
     switch (message.type) {
         case 'register_tool':
             validateToolRegistration(message.data);
+            assertAllowed(settings.permissions, identity, Actions.REGISTER, message.data.name);
             handleToolRegistration(ws, message.data);
             break;
+
+        case 'unregister_tool':
+            validateToolUnregistration(message.data);
+            handleToolUnregistration(ws, message.data);
+            break;
+
+        case 'list_tools':
+            sendMessage(ws, 'snapshot', getSnapshot(identity));
+            break;
             
         case 'execute_tool':
             validateToolExecution(message.data);
-            await handleToolExecution(ws, message.data);
+            assertAllowed(settings.permissions, identity, Actions.EXECUTE, message.data.name);
+            if (executions.has(message.data.executionId)) {
+                throw new MCPError(
+                    ErrorCodes.INVALID_ARGUMENTS,
+                    `Execution already in progress: ${message.data.executionId}`
+                );
+            }
+            // A call to an unknown tool never starts, so only the requester hears of it
+            if (!toolRegistry.has(message.data.name)) {
+                sendMessage(ws, 'tool_execution_failed', {
+                    executionId: message.data.executionId,
+                    error: { code: ErrorCodes.TOOL_NOT_FOUND, message: `Tool not found: ${message.data.name}` }
+                });
+                break;
+            }
+            // Failures are reported through the tool_execution_failed broadcast
+            await handleToolExecution(message.data, { requester: ws, identity }).catch(() => {});
+            break;
+
+        case 'tool_execution_progress':
+            validateToolProgress(message.data);
+            handleToolProgress(ws, message.data);
+            break;
+
+        case 'cancel_execution':
+            validateCancellation(message.data);
+            handleCancelExecution(ws, identity, message.data);
+            break;
+
+        case 'tool_execution_completed':
+        case 'tool_execution_failed':
+            validateToolResult(message.data);
+            handleToolResult(ws, message.type, message.data);
+            break;
+
+        case 'approve_execution':
+        case 'deny_execution':
+            validateApprovalDecision(message.data);
+            handleApprovalDecision(identity, message.type === 'approve_execution', message.data);
+            break;
+
+        case 'register_resource':
+            validateResourceRegistration(message.data);
+            assertAllowed(settings.permissions, identity, Actions.REGISTER, message.data.uri ?? message.data.uriTemplate, 'resource');
+            handleResourceRegistration(ws, message.data);
+            break;
+
+        case 'unregister_resource':
+            validateResourceUnregistration(message.data);
+            handleResourceUnregistration(ws, message.data);
+            break;
+
+        case 'read_resource':
+            validateResourceRead(message.data);
+            await handleResourceRead(ws, identity, message.data);
+            break;
+
+        case 'resource_read_completed':
+        case 'resource_read_failed':
+            validateResourceResult(message.data);
+            handleResourceResult(ws, message.type, message.data);
+            break;
+
+        case 'subscribe_resource':
+        case 'unsubscribe_resource':
+            validateResourceReference(message.data);
+            handleSubscription(clients.get(ws), message.type === 'subscribe_resource', message.data.uri);
+            break;
+
+        case 'resource_updated':
+            validateResourceReference(message.data);
+            handleResourceUpdated(ws, message.data);
+            break;
+
+        case 'register_prompt':
+            validatePromptRegistration(message.data);
+            assertAllowed(settings.permissions, identity, Actions.REGISTER, message.data.name, 'prompt');
+            handlePromptRegistration(ws, message.data);
+            break;
+
+        case 'unregister_prompt':
+            validatePromptUnregistration(message.data);
+            handlePromptUnregistration(ws, message.data);
+            break;
+
+        case 'get_prompt':
+            validatePromptRequest(message.data);
+            handlePromptRequest(ws, identity, message.data);
             break;
             
         default:
@@ -159,140 +614,2019 @@ async function handleWebSocketMessage(ws, message) {
  * @param {object} data Registration data
  */
 function handleToolRegistration(ws, data) {
-    const { name, schema } = data;
+    const { name } = data;
     logger.info(`Registering tool: ${name}`);
-    
+
+    // A provider that reconnected takes over the tools of its old connection
+    if (toolRegistry.has(name) && isPreviousOwner(toolRegistry.get(name).owner, ws)) {
+        toolRegistry.unregister(name);
+    }
+
+    const entry = toolRegistry.register(data, ws);
+
     // Broadcast tool registration to all clients
-    wsServer.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify({
-                type: 'tool_registered',
-                data: { name, schema }
-            }));
+    broadcast('tool_registered', toDefinition(entry), entry.name);
+    notifyClients('notifications/tools/list_changed');
+}
+
+/**
+ * Check if a tool owner is an old connection of the same client
+ * @param {any} owner Current owner of the tool
+ * @param {WebSocket} ws Connection registering the tool
+ * @returns {boolean} True if owner is a draining or closed connection with the same identity
+ */
+function isPreviousOwner(owner, ws) {
+    const previous = departedOwners.get(owner) ?? (clients.get(owner)?.draining ? clients.get(owner) : null);
+    return previous !== null && isSameIdentity(previous.identity, clients.get(ws).identity);
+}
+
+/**
+ * Check if two identities belong to the same client
+ * @param {object} a Client identity
+ * @param {object} b Client identity
+ * @returns {boolean} True if token and name match
+ */
+function isSameIdentity(a, b) {
+    return a.tokenId === b.tokenId && a.name === b.name;
+}
+
+/**
+ * Hand the registrations of a connection closed by a port move to the
+ * connection its client opened on the new port
+ *
+ * Nothing is moved when the identity had several connections, since it is
+ * then unknown which one reconnected. Those clients take their tools over by
+ * registering them again.
+ * @param {WebSocket} ws New connection
+ * @param {object} identity Identity of the new connection
+ */
+function rebindMovedRegistrations(ws, identity) {
+    const candidates = [];
+    for (const [owner, departed] of departedOwners) {
+        if (departed.moved && isSameIdentity(departed.identity, identity)) {
+            candidates.push(owner);
         }
-    });
+    }
+    for (const [owner, client] of clients) {
+        if (owner !== ws && client.draining && !client.rebound && isSameIdentity(client.identity, identity)) {
+            candidates.push(owner);
+        }
+    }
+    if (candidates.length !== 1) return;
+
+    const [previous] = candidates;
+    const departed = departedOwners.get(previous);
+    if (departed) {
+        clearTimeout(departed.timer);
+        departedOwners.delete(previous);
+    } else {
+        clients.get(previous).rebound = true;
+    }
+
+    const moved = [
+        ...toolRegistry.transferOwner(previous, ws),
+        ...resourceRegistry.transferOwner(previous, ws),
+        ...promptRegistry.transferOwner(previous, ws)
+    ];
+    if (moved.length > 0) {
+        logger.info(`Moved registrations of ${identity.name} to its new connection: ${moved.join(', ')}`);
+    }
 }
 
 /**
- * Handle tool execution
+ * Handle tool unregistration by the connection that owns the tool
  * @param {WebSocket} ws WebSocket connection
- * @param {object} data Execution data
+ * @param {object} data Unregistration data { name }
+ * @throws {MCPError} If the tool is unknown or owned by another connection
  */
-async function handleToolExecution(ws, data) {
-    const { executionId, name, args } = data;
-    logger.info(`Executing tool: ${name}`, { executionId, args });
-    
-    // Broadcast execution start
-    wsServer.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify({
-                type: 'tool_execution_started',
-                data: { executionId, name, args }
-            }));
+function handleToolUnregistration(ws, data) {
+    const { name } = data;
+    if (toolRegistry.get(name).owner !== ws) {
+        throw new MCPError(
+            ErrorCodes.RESOURCE_ACCESS_DENIED,
+            `Tool is owned by another connection: ${name}`,
+            { name }
+        );
+    }
+
+    toolRegistry.unregister(name);
+    logger.info(`Unregistered tool: ${name}`);
+    announceUnregistered([name], 'unregistered');
+}
+
+/**
+ * Remove the tools, resources and prompts of a closed connection, after the reconnect grace period
+ * @param {WebSocket} ws Closed connection
+ * @param {object} identity Identity of the connection
+ * @param {boolean} [moved] Whether the connection was closed by a port move
+ */
+function releaseRegistrations(ws, identity, moved = false) {
+    const grace = moved
+        ? Math.max(settings.websocket.reconnectGrace, MOVE_RECONNECT_GRACE)
+        : settings.websocket.reconnectGrace;
+    const release = () => {
+        departedOwners.delete(ws);
+        const removed = toolRegistry.unregisterOwner(ws);
+        if (removed.length > 0) {
+            logger.info(`Removed tools of disconnected client ${identity.name}: ${removed.join(', ')}`);
         }
-    });
+        announceUnregistered(removed, 'disconnected');
+        announceResourcesRemoved(resourceRegistry.unregisterOwner(ws), 'disconnected');
+        announcePromptsRemoved(promptRegistry.unregisterOwner(ws), 'disconnected');
+    };
 
-    try {
-        // Execute tool (implementation specific to each tool)
-        const result = await executeTool(name, args);
-        
-        // Broadcast execution success
-        wsServer.clients.forEach((client) => {
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify({
-                    type: 'tool_execution_completed',
-                    data: { executionId, result }
-                }));
-            }
-        });
-    } catch (error) {
-        logger.error(`Tool execution failed: ${name}`, error);
-        
-        // Broadcast execution failure
-        wsServer.clients.forEach((client) => {
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify({
-                    type: 'tool_execution_failed',
-                    data: {
-                        executionId,
-                        error: {
-                            code: error.code || ErrorCodes.TOOL_EXECUTION_FAILED,
-                            message: error.message
-                        }
-                    }
-                }));
-            }
-        });
+    if (grace === 0) {
+        release();
+        return;
     }
+    // The timer must not keep the process alive after shutdown
+    const timer = setTimeout(release, grace);
+    timer.unref();
+    departedOwners.set(ws, { identity, timer, moved });
 }
 
 /**
- * Execute a tool
- * @param {string} name Tool name
- * @param {object} args Tool arguments
- * @returns {Promise<any>} Tool result
+ * Tell clients that tools were removed
+ * @param {string[]} names Names of the removed tools
+ * @param {string} reason Why the tools were removed
  */
-async function executeTool(name, args) {
-    // This is a placeholder - actual tool execution would be implemented
-    // based on the specific tools registered with the system
-    throw new MCPError(
-        ErrorCodes.TOOL_NOT_FOUND,
-        `Tool not implemented: ${name}`
-    );
+function announceUnregistered(names, reason) {
+    if (names.length === 0) return;
+
+    names.forEach(name => broadcast('tool_unregistered', { name, reason }, name));
+    notifyClients('notifications/tools/list_changed');
 }
 
 /**
- * Create Express router for plugin endpoints
- * @returns {express.Router} Express router
+ * Get the current state for a legacy client
+ *
+ * Tools, executions, resources and prompts the client may not use are left out.
+ * @param {object} identity Client identity
+ * @returns {object} { tools, resources, resourceTemplates, prompts, executions, server }
  */
-export function createRouter() {
-    const router = express.Router();
+function getSnapshot(identity) {
+    const canExecute = (name) => isAllowed(settings.permissions, identity, Actions.EXECUTE, name);
 
-    // Serve static files
-    router.use('/public', express.static(path.join(__dirname, 'public')));
+    return {
+        tools: toolRegistry.list().filter(({ name }) => canExecute(name)),
+        resources: listResources(identity),
+        resourceTemplates: listResourceTemplates(identity),
+        prompts: promptRegistry.list().filter(({ name }) => canExecute(name)),
+        executions: Array.from(executions)
+            .filter(([, { name }]) => canExecute(name))
+            .map(([executionId, { name, args, startedAt }]) => ({
+                executionId,
+                name,
+                args,
+                status: pendingApprovals.has(executionId) ? 'pending' : 'running',
+                startedAt
+            })),
+        server: {
+            name: manifest.name,
+            version: manifest.version,
+            port: settings.websocket.port,
+            protocolVersions: PROTOCOL_VERSIONS
+        }
+    };
+}
 
-    // Settings endpoints
-    router.get('/settings', (req, res) => {
-        res.json(settings);
-    });
+/**
+ * Handle resource registration
+ * @param {WebSocket} ws WebSocket connection
+ * @param {object} data Registration data
+ */
+function handleResourceRegistration(ws, data) {
+    const key = data.uri ?? data.uriTemplate;
+    logger.info(`Registering resource: ${key}`);
 
-    router.post('/settings', express.json(), (req, res, next) => {
-        try {
-            const newSettings = {
-                ...settings,
-                ...req.body
-            };
-            validateSettings(newSettings);
-            settings = newSettings;
-            
-            // Update log level
-            logger.setLevel(settings.logging.level);
-            
-            // Restart WebSocket server if port changed
-            if (req.body.websocket?.port !== undefined) {
-                initWebSocketServer();
-            }
-            
-            res.json(settings);
-        } catch (error) {
-            next(error);
-        }
+    // A provider that reconnected takes over the resources of its old connection
+    if (resourceRegistry.has(key) && isPreviousOwner(resourceRegistry.get(key).owner, ws)) {
+        resourceRegistry.unregister(key);
+    }
+
+    const entry = resourceRegistry.register(data, ws);
+
+    broadcast('resource_registered', toResourceDefinition(entry), getResourceSubject(key));
+    notifyClients('notifications/resources/list_changed');
+}
+
+/**
+ * Handle resource unregistration by the connection that owns the resource
+ * @param {WebSocket} ws WebSocket connection
+ * @param {object} data Unregistration data { uri } or { uriTemplate }
+ * @throws {MCPError} If the resource is unknown or owned by another connection
+ */
+function handleResourceUnregistration(ws, data) {
+    const key = data.uri ?? data.uriTemplate;
+    if (resourceRegistry.get(key).owner !== ws) {
+        throw new MCPError(
+            ErrorCodes.RESOURCE_ACCESS_DENIED,
+            `Resource is owned by another connection: ${key}`,
+            { uri: key }
+        );
+    }
+
+    const entry = resourceRegistry.unregister(key);
+    logger.info(`Unregistered resource: ${key}`);
+    announceResourcesRemoved([toResourceDefinition(entry)], 'unregistered');
+}
+
+/**
+ * Tell clients that resources were removed
+ * @param {object[]} resources Definitions of the removed resources
+ * @param {string} reason Why the resources were removed
+ */
+function announceResourcesRemoved(resources, reason) {
+    if (resources.length === 0) return;
+
+    resources.forEach(({ uri, uriTemplate }) => {
+        broadcast('resource_unregistered', { uri, uriTemplate, reason }, getResourceSubject(uri ?? uriTemplate));
     });
+    notifyClients('notifications/resources/list_changed');
+}
 
-    // Error handling
-    router.use(errorHandler);
+/**
+ * Get the name permission rules are matched against for a resource
+ *
+ * Built-in resources follow the rules of the tool that returns the same data.
+ * @param {string} key URI or URI template the resource is registered under
+ * @param {string} [uri] Concrete URI being read, defaults to the key
+ * @returns {string} Tool name or resource URI
+ */
+function getResourceSubject(key, uri = key) {
+    return BUILTIN_RESOURCE_TOOLS[key] ?? uri;
+}
 
-    return router;
+/**
+ * List the static resources a client may read
+ * @param {object} identity Client identity
+ * @returns {object[]} Resource definitions
+ */
+function listResources(identity) {
+    return resourceRegistry.list()
+        .filter(({ uri }) => isAllowed(settings.permissions, identity, Actions.EXECUTE, getResourceSubject(uri)));
 }
 
 /**
- * Plugin event handlers
+ * List the resource templates a client may read
+ * @param {object} identity Client identity
+ * @returns {object[]} Template definitions
  */
-export const events = {
-    async onShutdown() {
-        logger.info('Shutting down MCP Extension');
-        if (wsServer) {
-            wsServer.close();
-        }
+function listResourceTemplates(identity) {
+    return resourceRegistry.listTemplates()
+        .filter(({ uriTemplate }) => isAllowed(settings.permissions, identity, Actions.EXECUTE, getResourceSubject(uriTemplate)));
+}
+
+/**
+ * Find the resource that serves a URI and check that a client may read it
+ * @param {string} uri Resource URI
+ * @param {object} identity Client identity
+ * @returns {object} { entry, params } as returned by the resource registry
+ * @throws {MCPError} If no resource matches or the client may not read it
+ */
+function resolveReadableResource(uri, identity) {
+    const resolved = resourceRegistry.resolve(uri);
+    const { entry } = resolved;
+    assertAllowed(settings.permissions, identity, Actions.EXECUTE, getResourceSubject(entry.uri ?? entry.uriTemplate, uri), 'resource');
+    return resolved;
+}
+
+/**
+ * Read a resource from the connection that owns it
+ * @param {string} uri Resource URI
+ * @param {object} identity Identity of the reading client
+ * @param {AbortSignal} [signal] Signal that cancels the read
+ * @returns {Promise<object[]>} Resource contents
+ * @throws {MCPError} If the client may not read the URI, no resource matches, the owner fails or the read times out
+ */
+async function readResource(uri, identity, signal) {
+    signal?.throwIfAborted();
+    const { entry, params } = resolveReadableResource(uri, identity);
+    const owner = entry.owner === BUILTIN_OWNER ? findUiConnection() : entry.owner;
+
+    if (owner?.readyState !== WebSocket.OPEN) {
+        throw new MCPError(
+            ErrorCodes.SERVER_ERROR,
+            entry.owner === BUILTIN_OWNER
+                ? `SillyTavern is not open in a browser: ${uri}`
+                : `Resource provider is not connected: ${uri}`
+        );
+    }
+
+    const limit = settings.execution?.timeout ?? DEFAULT_SETTINGS.execution.timeout;
+    const requestId = randomUUID();
+    const contents = await new Promise((resolve, reject) => {
+        const finish = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            pendingReads.delete(requestId);
+        };
+        const onAbort = () => {
+            finish();
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            finish();
+            reject(new MCPError(
+                ErrorCodes.EXECUTION_TIMEOUT,
+                `Resource read timed out after ${limit}ms: ${uri}`,
+                { timeout: limit }
+            ));
+        }, limit);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        pendingReads.set(requestId, {
+            uri,
+            owner,
+            resolve: (result) => {
+                finish();
+                resolve(result);
+            },
+            reject: (error) => {
+                finish();
+                reject(error);
+            }
+        });
+        sendMessage(owner, 'read_resource', { requestId, uri, params });
+    });
+
+    validateResourceContents(contents);
+    return contents;
+}
+
+/**
+ * Read a resource for a WebSocket client and send it the outcome
+ * @param {WebSocket} ws WebSocket connection
+ * @param {object} identity Client identity
+ * @param {object} data Read data { requestId, uri }
+ */
+async function handleResourceRead(ws, identity, data) {
+    const { requestId, uri } = data;
+    try {
+        const contents = await readResource(uri, identity);
+        sendMessage(ws, 'resource_read_completed', { requestId, uri, contents });
+    } catch (error) {
+        sendMessage(ws, 'resource_read_failed', {
+            requestId,
+            uri,
+            error: {
+                code: error.code || ErrorCodes.SERVER_ERROR,
+                message: error.message,
+                details: error.details
+            }
+        });
+    }
+}
+
+/**
+ * Handle a resource read result reported by the connection that owns the resource
+ * @param {WebSocket} ws WebSocket connection
+ * @param {string} type Message type
+ * @param {object} data Result data
+ */
+function handleResourceResult(ws, type, data) {
+    const { requestId, contents, error } = data;
+    const pending = pendingReads.get(requestId);
+
+    // Only the owner of the resource may answer its reads
+    if (!pending || pending.owner !== ws) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Unknown resource request ID: ${requestId}`
+        );
+    }
+
+    if (type === 'resource_read_completed') {
+        pending.resolve(contents);
+    } else {
+        pending.reject(new MCPError(
+            error?.code || ErrorCodes.SERVER_ERROR,
+            error?.message || `Resource read failed: ${pending.uri}`,
+            error?.details
+        ));
+    }
+}
+
+/**
+ * Fail all pending resource reads owned by a connection
+ * @param {WebSocket} ws WebSocket connection
+ * @param {string} reason Failure reason
+ */
+function failPendingReads(ws, reason) {
+    for (const pending of Array.from(pendingReads.values())) {
+        if (pending.owner === ws) {
+            pending.reject(new MCPError(ErrorCodes.SERVER_ERROR, reason));
+        }
+    }
+}
+
+/**
+ * Subscribe a client to updates of a resource, or end the subscription
+ * @param {object} client Client state
+ * @param {boolean} subscribe True to subscribe, false to unsubscribe
+ * @param {string} uri Resource URI
+ * @throws {MCPError} If subscribing to a URI the client may not read or no resource serves
+ */
+function handleSubscription(client, subscribe, uri) {
+    if (!subscribe) {
+        client.subscriptions.delete(uri);
+        return;
+    }
+
+    resolveReadableResource(uri, client.identity);
+    client.subscriptions.add(uri);
+}
+
+/**
+ * Notify the subscribers of a resource that it changed
+ *
+ * The settings UI reports changes to the built-in resources.
+ * @param {WebSocket} ws Connection that owns the resource
+ * @param {object} data Update data { uri }
+ * @throws {MCPError} If the resource is unknown or owned by another connection
+ */
+function handleResourceUpdated(ws, data) {
+    const { uri } = data;
+    const { owner } = resourceRegistry.resolve(uri).entry;
+    const isBuiltinUpdate = owner === BUILTIN_OWNER && clients.get(ws).identity.tokenId === 'ui';
+    if (owner !== ws && !isBuiltinUpdate) {
+        throw new MCPError(
+            ErrorCodes.RESOURCE_ACCESS_DENIED,
+            `Resource is owned by another connection: ${uri}`,
+            { uri }
+        );
+    }
+
+    for (const client of [...clients.values(), ...sessions.values()]) {
+        if (!client.subscriptions.has(uri)) continue;
+
+        if (client.protocol === 'jsonrpc') {
+            if (client.state === 'ready') {
+                client.send(createNotification('notifications/resources/updated', { uri }));
+            }
+        } else {
+            sendMessage(client.ws, 'resource_updated', { uri });
+        }
+    }
+}
+
+/**
+ * Handle prompt registration
+ * @param {WebSocket} ws WebSocket connection
+ * @param {object} data Registration data
+ */
+function handlePromptRegistration(ws, data) {
+    const { name } = data;
+    logger.info(`Registering prompt: ${name}`);
+
+    // A provider that reconnected takes over the prompts of its old connection
+    if (promptRegistry.has(name) && isPreviousOwner(promptRegistry.get(name).owner, ws)) {
+        promptRegistry.unregister(name);
+    }
+
+    const entry = promptRegistry.register(data, ws);
+
+    broadcast('prompt_registered', toPromptDefinition(entry), name);
+    notifyClients('notifications/prompts/list_changed');
+}
+
+/**
+ * Handle prompt unregistration by the connection that owns the prompt
+ * @param {WebSocket} ws WebSocket connection
+ * @param {object} data Unregistration data { name }
+ * @throws {MCPError} If the prompt is unknown or owned by another connection
+ */
+function handlePromptUnregistration(ws, data) {
+    const { name } = data;
+    if (promptRegistry.get(name).owner !== ws) {
+        throw new MCPError(
+            ErrorCodes.RESOURCE_ACCESS_DENIED,
+            `Prompt is owned by another connection: ${name}`,
+            { name }
+        );
+    }
+
+    promptRegistry.unregister(name);
+    logger.info(`Unregistered prompt: ${name}`);
+    announcePromptsRemoved([name], 'unregistered');
+}
+
+/**
+ * Tell clients that prompts were removed
+ * @param {string[]} names Names of the removed prompts
+ * @param {string} reason Why the prompts were removed
+ */
+function announcePromptsRemoved(names, reason) {
+    if (names.length === 0) return;
+
+    names.forEach(name => broadcast('prompt_unregistered', { name, reason }, name));
+    notifyClients('notifications/prompts/list_changed');
+}
+
+/**
+ * Render a prompt for a WebSocket client and send it the outcome
+ * @param {WebSocket} ws WebSocket connection
+ * @param {object} identity Client identity
+ * @param {object} data Request data { requestId, name, arguments }
+ */
+function handlePromptRequest(ws, identity, data) {
+    const { requestId, name } = data;
+    try {
+        assertAllowed(settings.permissions, identity, Actions.EXECUTE, name, 'prompt');
+        sendMessage(ws, 'prompt_rendered', { requestId, name, ...promptRegistry.render(name, data.arguments) });
+    } catch (error) {
+        sendMessage(ws, 'prompt_failed', {
+            requestId,
+            name,
+            error: {
+                code: error.code || ErrorCodes.SERVER_ERROR,
+                message: error.message,
+                details: error.details
+            }
+        });
+    }
+}
+
+/**
+ * Handle tool execution
+ * @param {object} data Execution data
+ * @param {object} [options] Execution options
+ * @param {any} [options.requester] Connection that requested the execution
+ * @param {object} [options.identity] Identity of the requesting client
+ * @param {AbortSignal} [options.signal] Signal that cancels the execution
+ * @param {string|number} [options.progressToken] MCP progress token of a JSON-RPC requester
+ * @param {express.Response} [options.stream] SSE stream of the HTTP request that started the execution
+ * @returns {Promise<any>} Tool result
+ * @throws {MCPError} If the tool is unknown, or if execution fails after the failure has been broadcast
+ */
+async function handleToolExecution(data, { requester = null, identity = null, signal, progressToken, stream = null } = {}) {
+    const { executionId, name, args, timeout } = data;
+
+    // An unknown tool gets no execution, broadcasts or history record
+    toolRegistry.get(name);
+    logger.info(`Executing tool: ${name}`, { executionId, args });
+
+    const startedAt = new Date();
+    const record = (outcome) => recordExecution({ executionId, name, args, client: identity?.name ?? null, startedAt }, outcome);
+
+    const controller = new AbortController();
+    executions.set(executionId, {
+        name,
+        args,
+        startedAt: startedAt.toISOString(),
+        requester,
+        controller,
+        progressToken,
+        stream,
+        lastProgress: -1
+    });
+    
+    // Broadcast execution start
+    broadcast('tool_execution_started', { executionId, name, args }, name);
+
+    try {
+        const result = await executeTool(executionId, name, args, {
+            signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal,
+            timeout
+        });
+
+        // Broadcast execution success
+        broadcast('tool_execution_completed', { executionId, result }, name);
+        record({ status: 'success', result });
+        return result;
+    } catch (error) {
+        const failure = {
+            code: error.code || ErrorCodes.TOOL_EXECUTION_FAILED,
+            message: error.message,
+            details: error.details
+        };
+
+        if (error.code === ErrorCodes.EXECUTION_CANCELLED) {
+            logger.info(`Tool execution cancelled: ${name}`, { executionId });
+            broadcast('tool_execution_cancelled', { executionId, reason: error.details?.reason }, name);
+            record({ status: 'cancelled', error: failure });
+            throw error;
+        }
+
+        logger.error(`Tool execution failed: ${name}`, error);
+
+        // Broadcast execution failure
+        broadcast('tool_execution_failed', { executionId, error: failure }, name);
+        record({ status: 'error', error: failure });
+        throw error;
+    } finally {
+        executions.delete(executionId);
+        executionListeners.forEach(listener => listener());
+    }
+}
+
+/**
+ * Add a finished execution to the history
+ * @param {object} execution Execution { executionId, name, args, client, startedAt }
+ * @param {object} outcome Outcome { status, result } or { status, error }
+ */
+function recordExecution({ executionId, name, args, client, startedAt }, outcome) {
+    if (settings.history?.enabled === false) return;
+
+    const finishedAt = new Date();
+    history.add({
+        executionId,
+        tool: name,
+        args,
+        client,
+        ...outcome,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt
+    });
+}
+
+/**
+ * Execute a tool by forwarding the call to the client that registered it
+ * @param {string} executionId Execution ID
+ * @param {string} name Tool name
+ * @param {object} args Tool arguments
+ * @param {object} options Execution options
+ * @param {AbortSignal} options.signal Signal that cancels the execution
+ * @param {number} [options.timeout] Timeout in milliseconds for this call
+ * @returns {Promise<any>} Tool result
+ */
+async function executeTool(executionId, name, args, { signal, timeout }) {
+    let tool = toolRegistry.get(name);
+
+    // Check arguments against the registered schema before dispatch
+    const validation = validateSchema(args ?? {}, tool.schema);
+    if (!validation.valid) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Invalid arguments for tool: ${name}`,
+            { errors: validation.errors }
+        );
+    }
+
+    // Sensitive tools wait for a person to approve the call
+    if (tool.requiresApproval || matchesAny(name, settings.approval?.tools ?? [])) {
+        await requestApproval(executionId, name, args, signal);
+
+        // The provider may have moved to a new connection while the call waited
+        tool = toolRegistry.get(name);
+    }
+
+    // The time limit starts once the call is dispatched, not while it waits for approval
+    const limit = timeout ?? tool.timeout ?? settings.execution?.timeout ?? DEFAULT_SETTINGS.execution.timeout;
+    const deadline = new AbortController();
+    const timer = setTimeout(() => deadline.abort(new MCPError(
+        ErrorCodes.EXECUTION_TIMEOUT,
+        `Tool execution timed out after ${limit}ms: ${name}`,
+        { timeout: limit }
+    )), limit);
+
+    let result;
+    try {
+        result = await dispatchTool(executionId, tool, args ?? {}, AbortSignal.any([signal, deadline.signal]));
+    } finally {
+        clearTimeout(timer);
+    }
+
+    validateToolCallResult(result, tool.outputSchema);
+
+    // A structured result can report a failure the caller should see as one
+    if (result?.isError === true) {
+        throw new MCPError(
+            ErrorCodes.TOOL_EXECUTION_FAILED,
+            getResultText(result) || `Tool execution failed: ${name}`,
+            { result }
+        );
+    }
+
+    return result;
+}
+
+/**
+ * Join the text blocks of a structured result
+ * @param {object} result Structured tool result
+ * @returns {string} Text content, empty if the result has none
+ */
+function getResultText(result) {
+    return result.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
+}
+
+/**
+ * Send a validated call to the owner of a tool
+ * @param {string} executionId Execution ID
+ * @param {object} tool Registered tool entry
+ * @param {object} args Tool arguments
+ * @param {AbortSignal} signal Signal that cancels the call
+ * @returns {Promise<any>} Tool result
+ */
+function dispatchTool(executionId, tool, args, signal) {
+    const { name } = tool;
+    const owner = tool.owner === BUILTIN_OWNER ? findUiConnection() : tool.owner;
+    signal.throwIfAborted();
+
+    if (owner === SCRIPT_OWNER) {
+        const script = settings.scriptTools.find(entry => entry.name === name);
+        if (!script) {
+            throw new MCPError(
+                ErrorCodes.TOOL_EXECUTION_FAILED,
+                `Script tool was removed: ${name}`
+            );
+        }
+        return runScript(script.code, args, {
+            memoryLimit: script.memoryLimit,
+            allowNetwork: script.allowNetwork,
+            signal
+        });
+    }
+
+    if (owner instanceof StdioClient) {
+        return owner.callTool(name, args, {
+            signal,
+            onProgress: ({ progress, total, message }) => {
+                relayProgress(executionId, {
+                    progress: total ? Math.min(100, progress / total * 100) : undefined,
+                    message
+                });
+            }
+        });
+    }
+
+    if (owner?.readyState !== WebSocket.OPEN) {
+        throw new MCPError(
+            ErrorCodes.TOOL_EXECUTION_FAILED,
+            tool.owner === BUILTIN_OWNER
+                ? `SillyTavern is not open in a browser: ${name}`
+                : `Tool provider is not connected: ${name}`
+        );
+    }
+
+    return new Promise((resolve, reject) => {
+        // Let the owner stop working on a call whose result nobody waits for
+        const onAbort = () => {
+            pendingExecutions.delete(executionId);
+            sendMessage(owner, 'cancel_execution', { executionId, reason: signal.reason.message });
+            reject(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        pendingExecutions.set(executionId, {
+            name,
+            owner,
+            resolve: (result) => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(result);
+            },
+            reject: (error) => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        });
+        sendMessage(owner, 'execute_tool', { executionId, name, args });
+    });
+}
+
+/**
+ * Cancel a running execution
+ * @param {WebSocket|null} ws Connection asking for the cancellation
+ * @param {object} identity Client identity
+ * @param {object} data Cancellation data { executionId, reason }
+ * @throws {MCPError} If the execution is unknown or belongs to another client
+ */
+function handleCancelExecution(ws, identity, data) {
+    const { executionId, reason } = data;
+    const execution = executions.get(executionId);
+    if (!execution) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Unknown execution ID: ${executionId}`
+        );
+    }
+
+    // Clients may cancel their own calls, the settings UI may cancel any call
+    if (identity.tokenId !== 'ui' && execution.requester !== ws) {
+        throw new MCPError(
+            ErrorCodes.RESOURCE_ACCESS_DENIED,
+            `Client ${identity.name} may not cancel execution: ${executionId}`
+        );
+    }
+
+    execution.controller.abort(createCancellationError(execution.name, reason));
+}
+
+/**
+ * Create the error that cancelled executions are rejected with
+ * @param {string} name Tool name
+ * @param {string} [reason] Cancellation reason
+ * @returns {MCPError} Cancellation error
+ */
+function createCancellationError(name, reason) {
+    return new MCPError(
+        ErrorCodes.EXECUTION_CANCELLED,
+        reason ? `Execution cancelled: ${reason}` : `Execution cancelled: ${name}`,
+        { reason }
+    );
+}
+
+/**
+ * Wait for a person in the settings UI to approve an execution
+ * @param {string} executionId Execution ID
+ * @param {string} name Tool name
+ * @param {object} args Tool arguments
+ * @param {AbortSignal} signal Signal that cancels the execution
+ * @returns {Promise<void>} Resolves when approved
+ * @throws {MCPError} EXECUTION_DENIED, APPROVAL_TIMEOUT or the cancellation reason
+ */
+function requestApproval(executionId, name, args, signal) {
+    const timeout = settings.approval?.timeout ?? DEFAULT_SETTINGS.approval.timeout;
+    logger.info(`Waiting for approval: ${name}`, { executionId });
+
+    return new Promise((resolve, reject) => {
+        const settle = (approved, reason, error) => {
+            pendingApprovals.delete(executionId);
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+            broadcast('tool_approval_resolved', { executionId, approved, reason }, name);
+            if (approved) {
+                resolve();
+            } else {
+                reject(error);
+            }
+        };
+
+        const timer = setTimeout(() => settle(false, 'timeout', new MCPError(
+            ErrorCodes.APPROVAL_TIMEOUT,
+            `Approval timed out: ${name}`
+        )), timeout);
+
+        const onAbort = () => settle(false, 'cancelled', signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        pendingApprovals.set(executionId, { name, settle });
+        broadcast('tool_approval_requested', { executionId, name, args, timeout }, name);
+    });
+}
+
+/**
+ * Handle an approval decision from the settings UI
+ * @param {object} identity Client identity
+ * @param {boolean} approved Whether the execution was approved
+ * @param {object} data Decision data { executionId, reason }
+ */
+function handleApprovalDecision(identity, approved, data) {
+    if (identity.tokenId !== 'ui') {
+        throw new MCPError(
+            ErrorCodes.RESOURCE_ACCESS_DENIED,
+            `Client ${identity.name} may not approve executions`
+        );
+    }
+
+    const { executionId, reason } = data;
+    const pending = pendingApprovals.get(executionId);
+    if (!pending) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `No approval pending for execution: ${executionId}`
+        );
+    }
+
+    logger.info(`Execution ${approved ? 'approved' : 'denied'}: ${pending.name}`, { executionId });
+    pending.settle(approved, reason, new MCPError(
+        ErrorCodes.EXECUTION_DENIED,
+        reason ? `Execution denied: ${reason}` : `Execution denied: ${pending.name}`
+    ));
+}
+
+/**
+ * Register or remove the built-in SillyTavern tools and resources to match settings
+ *
+ * A name or URI a client registered while the built-ins were off stays with
+ * that client.
+ */
+function syncBuiltins() {
+    announceUnregistered(toolRegistry.unregisterOwner(BUILTIN_OWNER), 'disabled');
+    announceResourcesRemoved(resourceRegistry.unregisterOwner(BUILTIN_OWNER), 'disabled');
+    if (!settings.builtins.enabled) return;
+
+    for (const tool of BUILTIN_TOOLS) {
+        try {
+            const entry = toolRegistry.register(tool, BUILTIN_OWNER);
+            broadcast('tool_registered', toDefinition(entry), entry.name);
+        } catch (error) {
+            logger.warn(`Skipping built-in tool: ${tool.name}`, error);
+        }
+    }
+    for (const resource of BUILTIN_RESOURCES) {
+        try {
+            const entry = resourceRegistry.register(resource, BUILTIN_OWNER);
+            broadcast('resource_registered', toResourceDefinition(entry), getResourceSubject(entry.uri ?? entry.uriTemplate));
+        } catch (error) {
+            logger.warn(`Skipping built-in resource: ${resource.uri ?? resource.uriTemplate}`, error);
+        }
+    }
+    notifyClients('notifications/tools/list_changed');
+    notifyClients('notifications/resources/list_changed');
+}
+
+/**
+ * Register the script tools from settings
+ *
+ * Script tools are registered again on every change, and clients are told
+ * about the ones that were removed or disabled. A name that another tool
+ * already has is skipped with a warning.
+ */
+function syncScriptTools() {
+    const previous = toolRegistry.unregisterOwner(SCRIPT_OWNER);
+    const enabled = settings.scriptTools.filter(tool => !tool.disabled);
+
+    for (const { name, title, description, schema, timeout, requiresApproval } of enabled) {
+        try {
+            const entry = toolRegistry.register(
+                { name, title, description, schema, timeout, requiresApproval, tags: ['script'] },
+                SCRIPT_OWNER
+            );
+            broadcast('tool_registered', toDefinition(entry), entry.name);
+        } catch (error) {
+            logger.warn(`Skipping script tool: ${name}`, error);
+        }
+    }
+
+    previous
+        .filter(name => !enabled.some(tool => tool.name === name))
+        .forEach(name => broadcast('tool_unregistered', { name, reason: 'removed' }, name));
+    notifyClients('notifications/tools/list_changed');
+}
+
+/**
+ * Find the settings UI connection that runs the built-in tools and resources
+ *
+ * When SillyTavern is open in several tabs, the most recent one is used.
+ * @returns {WebSocket|null} Open UI connection, or null if SillyTavern is not open
+ */
+function findUiConnection() {
+    let found = null;
+    for (const [ws, client] of clients) {
+        if (client.identity.tokenId === 'ui' && client.protocol === 'legacy'
+            && !client.draining && ws.readyState === WebSocket.OPEN) {
+            found = ws;
+        }
+    }
+    return found;
+}
+
+/**
+ * Start, stop and restart stdio MCP servers to match settings
+ */
+async function syncMcpServers() {
+    const configured = Object.entries(settings.mcpServers ?? {})
+        .filter(([, config]) => !config.disabled);
+    const wanted = new Map(configured);
+
+    // Stop servers that were removed or whose configuration changed
+    const stopping = [];
+    for (const [name, server] of mcpServers) {
+        if (!wanted.has(name) || JSON.stringify(wanted.get(name)) !== JSON.stringify(server.config)) {
+            mcpServers.delete(name);
+            stopping.push(server.stop());
+        }
+    }
+    await Promise.all(stopping);
+
+    await Promise.all(configured
+        .filter(([name]) => !mcpServers.has(name))
+        .map(([name, config]) => startMcpServer(name, config)));
+}
+
+/**
+ * Start a stdio MCP server and import its tools
+ * @param {string} name Server name
+ * @param {object} config Server configuration
+ */
+async function startMcpServer(name, config) {
+    const server = new StdioClient(name, config);
+    mcpServers.set(name, server);
+
+    server.on('tools_changed', () => {
+        importServerTools(server).catch((error) => {
+            logger.error(`Failed to refresh tools from MCP server: ${name}`, error);
+        });
+    });
+
+    server.on('exit', () => {
+        if (mcpServers.get(name) === server) {
+            mcpServers.delete(name);
+        }
+        announceUnregistered(toolRegistry.unregisterOwner(server), 'server_exited');
+    });
+
+    try {
+        await server.start();
+        await importServerTools(server);
+    } catch (error) {
+        logger.error(`Failed to start MCP server: ${name}`, error);
+        await server.stop();
+    }
+}
+
+/**
+ * Keep the annotations this extension understands from an MCP server tool
+ * @param {object} [annotations] Annotations listed by the server
+ * @returns {object|undefined} Known annotations, or undefined if none were given
+ */
+function pickAnnotations(annotations) {
+    if (!annotations || typeof annotations !== 'object') return undefined;
+
+    const keys = ['title', 'readOnlyHint', 'destructiveHint', 'idempotentHint', 'openWorldHint'];
+    return Object.fromEntries(keys.filter(key => annotations[key] !== undefined).map(key => [key, annotations[key]]));
+}
+
+/**
+ * Import the tool list of a stdio MCP server into the registry
+ * @param {StdioClient} server MCP server client
+ */
+async function importServerTools(server) {
+    const tools = await server.listTools();
+    const previous = toolRegistry.unregisterOwner(server);
+
+    for (const tool of tools) {
+        const data = {
+            name: tool.name,
+            title: tool.title,
+            description: tool.description,
+            schema: tool.inputSchema,
+            outputSchema: tool.outputSchema,
+            annotations: pickAnnotations(tool.annotations),
+            icon: tool.icons?.[0]?.src,
+            timeout: server.config.timeout
+        };
+        try {
+            validateToolRegistration(data);
+            const entry = toolRegistry.register(data, server);
+            broadcast('tool_registered', toDefinition(entry), entry.name);
+        } catch (error) {
+            logger.warn(`Skipping tool from MCP server ${server.name}: ${tool.name}`, error);
+        }
+    }
+
+    // Tools the server no longer lists
+    previous
+        .filter(name => !tools.some(tool => tool.name === name))
+        .forEach(name => broadcast('tool_unregistered', { name, reason: 'removed' }, name));
+
+    logger.info(`Imported ${tools.length} tools from MCP server: ${server.name}`);
+    notifyClients('notifications/tools/list_changed');
+}
+
+/**
+ * Handle a tool result reported by the client that owns the tool
+ * @param {WebSocket} ws WebSocket connection
+ * @param {string} type Message type
+ * @param {object} data Result data
+ */
+function handleToolResult(ws, type, data) {
+    const { executionId, result, error } = data;
+    const pending = pendingExecutions.get(executionId);
+
+    // Only the owner of the tool may settle its executions
+    if (!pending || pending.owner !== ws) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Unknown execution ID: ${executionId}`
+        );
+    }
+
+    pendingExecutions.delete(executionId);
+
+    if (type === 'tool_execution_completed') {
+        pending.resolve(result);
+    } else {
+        pending.reject(new MCPError(
+            error?.code || ErrorCodes.TOOL_EXECUTION_FAILED,
+            error?.message || `Tool execution failed: ${pending.name}`,
+            error?.details
+        ));
+    }
+}
+
+/**
+ * Handle a progress update reported by the client that owns the tool
+ * @param {WebSocket} ws WebSocket connection
+ * @param {object} data Progress data { executionId, progress, message, content }
+ */
+function handleToolProgress(ws, data) {
+    const { executionId, progress, message, content } = data;
+    const pending = pendingExecutions.get(executionId);
+
+    // Only the owner of the tool may report progress for its executions
+    if (!pending || pending.owner !== ws) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Unknown execution ID: ${executionId}`
+        );
+    }
+
+    relayProgress(executionId, { progress, message, content });
+}
+
+/**
+ * Relay a progress update to the clients interested in an execution
+ *
+ * Progress goes to the settings UI and to the client that requested the
+ * execution, not to every connection. JSON-RPC requesters get it as
+ * notifications/progress when they sent a progress token.
+ * @param {string} executionId Execution ID
+ * @param {object} update Progress update
+ * @param {number} [update.progress] Percent complete
+ * @param {string} [update.message] Status text
+ * @param {string} [update.content] Partial output to append
+ */
+function relayProgress(executionId, { progress, message, content }) {
+    const execution = executions.get(executionId);
+    if (!execution) return;
+
+    for (const [ws, client] of clients) {
+        if (client.protocol === 'legacy' && (client.identity.tokenId === 'ui' || ws === execution.requester)) {
+            sendMessage(ws, 'tool_execution_progress', { executionId, progress, message, content });
+        }
+    }
+
+    // MCP progress must increase with every notification
+    if (execution.progressToken !== undefined && progress > execution.lastProgress) {
+        execution.lastProgress = progress;
+        const notification = createNotification('notifications/progress', {
+            progressToken: execution.progressToken,
+            progress,
+            total: 100,
+            message
+        });
+
+        // An HTTP request answered over SSE gets progress on its own stream
+        if (execution.stream && !execution.stream.writableEnded) {
+            writeSseEvent(execution.stream, notification);
+        } else {
+            execution.requester.send(notification);
+        }
+    }
+}
+
+/**
+ * Fail all pending executions owned by a connection
+ * @param {WebSocket} ws WebSocket connection
+ * @param {string} reason Failure reason
+ */
+function failPendingExecutions(ws, reason) {
+    for (const [executionId, pending] of pendingExecutions) {
+        if (pending.owner === ws) {
+            pendingExecutions.delete(executionId);
+            pending.reject(new MCPError(ErrorCodes.TOOL_EXECUTION_FAILED, reason));
+        }
+    }
+}
+
+/**
+ * Handle a JSON-RPC message or batch
+ * @param {object} client Client state
+ * @param {object|object[]} message JSON-RPC message
+ * @param {express.Response} [stream] SSE stream of the HTTP request that carried the message
+ * @returns {Promise<object|object[]|null>} Response, or null for notifications
+ */
+async function handleJsonRpcMessage(client, message, stream = null) {
+    if (Array.isArray(message)) {
+        const responses = await Promise.all(message.map(item => handleJsonRpcMessage(client, item, stream)));
+        const results = responses.filter(Boolean);
+        return results.length > 0 ? results : null;
+    }
+
+    if (isResponse(message)) {
+        logger.debug('Ignoring unsolicited JSON-RPC response', { id: message.id });
+        return null;
+    }
+
+    const id = isValidId(message.id) ? message.id : null;
+    try {
+        validateJsonRpcMessage(message);
+
+        if (message.id === undefined) {
+            handleMcpNotification(client, message.method, message.params ?? {});
+            return null;
+        }
+
+        if (client.requests.has(id)) {
+            throw new MCPError(
+                ErrorCodes.INVALID_REQUEST,
+                `Duplicate request ID: ${id}`
+            );
+        }
+
+        const controller = new AbortController();
+        client.requests.set(id, controller);
+        try {
+            const result = await handleMcpRequest(client, message.method, message.params ?? {}, controller.signal, stream);
+
+            // Cancelled requests never receive a response
+            return controller.signal.aborted ? null : createResponse(id, result);
+        } catch (error) {
+            if (controller.signal.aborted) {
+                return null;
+            }
+            throw error;
+        } finally {
+            client.requests.delete(id);
+        }
+    } catch (error) {
+        // Notifications never receive a response, even on failure
+        if (message.id === undefined && typeof message.method === 'string') {
+            logger.warn(`Failed to handle notification: ${message.method}`, error);
+            return null;
+        }
+        logger.debug(`JSON-RPC request failed: ${message.method}`, error);
+        return createErrorResponse(id, error);
+    }
+}
+
+/**
+ * Handle an MCP request
+ * @param {object} client Client state
+ * @param {string} method Method name
+ * @param {object} params Method parameters
+ * @param {AbortSignal} signal Signal aborted when the client cancels the request
+ * @param {express.Response} [stream] SSE stream of the HTTP request that carried the message
+ * @returns {Promise<object>} Method result
+ */
+async function handleMcpRequest(client, method, params, signal, stream) {
+    switch (method) {
+        case 'initialize':
+            return handleInitialize(client, params);
+
+        case 'ping':
+            return {};
+    }
+
+    if (client.state === 'new') {
+        throw new MCPError(
+            ErrorCodes.INVALID_REQUEST,
+            'Server not initialized'
+        );
+    }
+
+    switch (method) {
+        case 'tools/list':
+            return {
+                tools: toolRegistry.list()
+                    .filter(({ name }) => isAllowed(settings.permissions, client.identity, Actions.EXECUTE, name))
+                    .map(({ name, title, description, schema, outputSchema, annotations }) => ({
+                        name, title, description, inputSchema: schema, outputSchema, annotations
+                    }))
+            };
+
+        case 'tools/call':
+            validateToolCall(params);
+            assertAllowed(settings.permissions, client.identity, Actions.EXECUTE, params.name);
+            return handleToolCall(client, params, signal, stream);
+
+        case 'resources/list':
+            return { resources: listResources(client.identity) };
+
+        case 'resources/templates/list':
+            return { resourceTemplates: listResourceTemplates(client.identity) };
+
+        case 'resources/read':
+            validateResourceReference(params);
+            return { contents: await readResource(params.uri, client.identity, signal) };
+
+        case 'resources/subscribe':
+        case 'resources/unsubscribe':
+            validateResourceReference(params);
+            handleSubscription(client, method === 'resources/subscribe', params.uri);
+            return {};
+
+        case 'prompts/list':
+            return {
+                prompts: promptRegistry.list()
+                    .filter(({ name }) => isAllowed(settings.permissions, client.identity, Actions.EXECUTE, name))
+                    .map(({ name, title, description, arguments: args }) => ({
+                        name,
+                        title,
+                        description,
+                        arguments: args.map(({ name, title, description, required }) => ({ name, title, description, required }))
+                    }))
+            };
+
+        case 'prompts/get':
+            validatePromptGet(params);
+            assertAllowed(settings.permissions, client.identity, Actions.EXECUTE, params.name, 'prompt');
+            return promptRegistry.render(params.name, params.arguments);
+
+        default:
+            throw new MCPError(
+                ErrorCodes.METHOD_NOT_FOUND,
+                `Method not found: ${method}`
+            );
+    }
+}
+
+/**
+ * Handle an MCP notification
+ * @param {object} client Client state
+ * @param {string} method Method name
+ * @param {object} params Notification parameters
+ */
+function handleMcpNotification(client, method, params) {
+    switch (method) {
+        case 'notifications/initialized':
+            client.state = 'ready';
+            logger.info('MCP client initialized', { clientInfo: client.clientInfo });
+            break;
+
+        case 'notifications/cancelled':
+            client.requests.get(params.requestId)
+                ?.abort(createCancellationError(`request ${params.requestId}`, params.reason));
+            break;
+
+        default:
+            logger.debug(`Ignoring notification: ${method}`, params);
+    }
+}
+
+/**
+ * Handle the MCP initialize request
+ * @param {object} client Client state
+ * @param {object} params Initialize parameters
+ * @returns {object} Server capabilities and info
+ */
+function handleInitialize(client, params) {
+    if (client.state !== 'new') {
+        throw new MCPError(
+            ErrorCodes.INVALID_REQUEST,
+            'Client already initialized'
+        );
+    }
+
+    if (typeof params.protocolVersion !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Protocol version must be a string'
+        );
+    }
+
+    // Answer with the requested version if supported, otherwise our latest
+    client.protocolVersion = PROTOCOL_VERSIONS.includes(params.protocolVersion)
+        ? params.protocolVersion
+        : PROTOCOL_VERSIONS[0];
+    client.clientInfo = params.clientInfo ?? null;
+    client.state = 'initializing';
+
+    return {
+        protocolVersion: client.protocolVersion,
+        capabilities: {
+            tools: { listChanged: true },
+            resources: { subscribe: true, listChanged: true },
+            prompts: { listChanged: true }
+        },
+        serverInfo: {
+            name: manifest.name,
+            version: manifest.version
+        }
+    };
+}
+
+/**
+ * Handle the MCP tools/call request
+ * @param {object} client Client state
+ * @param {object} params Call parameters
+ * @param {AbortSignal} signal Signal aborted when the client cancels the request
+ * @param {express.Response} [stream] SSE stream of the HTTP request that carried the call
+ * @returns {Promise<object>} MCP tool result
+ */
+async function handleToolCall(client, params, signal, stream) {
+    const executionId = `rpc-${randomUUID()}`;
+
+    try {
+        const result = await handleToolExecution({
+            executionId,
+            name: params.name,
+            args: params.arguments ?? {}
+        }, {
+            requester: client,
+            identity: client.identity,
+            signal,
+            progressToken: params._meta?.progressToken,
+            stream
+        });
+        return toToolCallResult(result);
+    } catch (error) {
+        // Unknown tools and bad arguments are protocol errors, everything
+        // else is a tool error the model should be able to see
+        if (error.code === ErrorCodes.TOOL_NOT_FOUND || error.code === ErrorCodes.INVALID_ARGUMENTS) {
+            throw error;
+        }
+        if (error.details?.result?.isError === true) {
+            return error.details.result;
+        }
+        return {
+            content: [{ type: 'text', text: error.message }],
+            isError: true
+        };
+    }
+}
+
+/**
+ * Convert a tool result to an MCP tools/call result
+ * @param {any} result Tool result
+ * @returns {object} MCP tool result
+ */
+function toToolCallResult(result) {
+    if (isStructuredResult(result)) {
+        return result;
+    }
+
+    return {
+        content: [{
+            type: 'text',
+            text: typeof result === 'string' ? result : JSON.stringify(result)
+        }]
+    };
+}
+
+/**
+ * Create client state for a WebSocket connection
+ * @param {WebSocket} ws WebSocket connection
+ * @param {object} identity Authenticated identity
+ * @returns {object} Client state
+ */
+function createClient(ws, identity) {
+    return {
+        ws,
+        identity,
+        protocol: ws.protocol === 'mcp' ? 'jsonrpc' : null,
+        state: 'new',
+        protocolVersion: null,
+        clientInfo: null,
+        requests: new Map(),
+        subscriptions: new Set(),
+        send(message) {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify(message));
+            }
+        }
+    };
+}
+
+/**
+ * Create a Streamable HTTP session
+ * @param {object} identity Authenticated identity
+ * @returns {object} Client state for the session
+ */
+function createSession(identity) {
+    const session = {
+        id: randomUUID(),
+        ws: null,
+        identity,
+        protocol: 'jsonrpc',
+        state: 'new',
+        protocolVersion: null,
+        clientInfo: null,
+        requests: new Map(),
+        subscriptions: new Set(),
+        streams: new Set(),
+        lastSeen: Date.now(),
+        send(message) {
+            // Server-initiated messages go to the session's GET streams
+            session.streams.forEach((res) => writeSseEvent(res, message));
+        }
+    };
+    return session;
+}
+
+/**
+ * Close a Streamable HTTP session and its open streams
+ * @param {object} session Session state
+ */
+function closeSession(session) {
+    sessions.delete(session.id);
+    session.streams.forEach((res) => res.end());
+    session.streams.clear();
+}
+
+/**
+ * Close sessions that have been idle for longer than SESSION_TTL
+ */
+function expireSessions() {
+    const cutoff = Date.now() - SESSION_TTL;
+    for (const session of sessions.values()) {
+        if (session.lastSeen < cutoff && session.streams.size === 0) {
+            logger.debug(`Expiring MCP session: ${session.id}`);
+            closeSession(session);
+        }
+    }
+}
+
+/**
+ * Look up the session named by the Mcp-Session-Id header
+ * @param {express.Request} req Request
+ * @param {express.Response} res Response
+ * @returns {object|null} Session state, or null after an error response was sent
+ */
+function getRequestSession(req, res) {
+    const sessionId = req.get('Mcp-Session-Id');
+    if (!sessionId) {
+        res.status(400).json(createErrorResponse(null, new MCPError(
+            ErrorCodes.INVALID_REQUEST,
+            'Missing Mcp-Session-Id header'
+        )));
+        return null;
+    }
+
+    // Sessions are bound to the token that created them
+    const session = sessions.get(sessionId);
+    if (!session || session.identity.tokenId !== res.locals.identity.tokenId) {
+        res.status(404).json(createErrorResponse(null, new MCPError(
+            ErrorCodes.INVALID_REQUEST,
+            `Unknown session: ${sessionId}`
+        )));
+        return null;
+    }
+
+    const protocolVersion = req.get('MCP-Protocol-Version');
+    if (protocolVersion && !PROTOCOL_VERSIONS.includes(protocolVersion)) {
+        res.status(400).json(createErrorResponse(null, new MCPError(
+            ErrorCodes.INVALID_REQUEST,
+            `Unsupported protocol version: ${protocolVersion}`
+        )));
+        return null;
+    }
+
+    session.lastSeen = Date.now();
+    return session;
+}
+
+/**
+ * Express middleware that authenticates Streamable HTTP requests
+ * @param {express.Request} req Request
+ * @param {express.Response} res Response
+ * @param {express.NextFunction} next Next handler
+ */
+function requireAuth(req, res, next) {
+    try {
+        res.locals.identity = authenticateRequest(req);
+        next();
+    } catch (error) {
+        logger.warn(`Rejected MCP HTTP request: ${error.message}`, {
+            address: req.socket.remoteAddress,
+            origin: req.headers.origin
+        });
+        const status = error.details.closeCode === CloseCodes.FORBIDDEN ? 403 : 401;
+        res.status(status).json(createErrorResponse(null, error));
+    }
+}
+
+/**
+ * Disconnect all clients authenticated with a token
+ * @param {string} tokenId Token ID
+ */
+function disconnectToken(tokenId) {
+    for (const client of clients.values()) {
+        if (client.identity.tokenId === tokenId) {
+            client.ws.close(CloseCodes.UNAUTHORIZED, 'Token revoked');
+        }
+    }
+    for (const session of sessions.values()) {
+        if (session.identity.tokenId === tokenId) {
+            closeSession(session);
+        }
+    }
+}
+
+/**
+ * Get settings with secrets removed
+ * @returns {object} Settings safe to return to clients
+ */
+function getPublicSettings() {
+    return {
+        ...settings,
+        auth: {
+            ...settings.auth,
+            tokens: (settings.auth?.tokens ?? []).map(toPublicTokenRecord)
+        }
+    };
+}
+
+/**
+ * Handle a Streamable HTTP POST carrying JSON-RPC messages
+ * @param {express.Request} req Request
+ * @param {express.Response} res Response
+ */
+async function handleMcpPost(req, res) {
+    let message;
+    try {
+        message = JSON.parse(req.body);
+    } catch {
+        res.status(400).json(createErrorResponse(null, new MCPError(ErrorCodes.PARSE_ERROR, 'Invalid JSON')));
+        return;
+    }
+
+    if (!isJsonRpcMessage(message)) {
+        res.status(400).json(createErrorResponse(null, new MCPError(
+            ErrorCodes.INVALID_REQUEST,
+            'Expected a JSON-RPC 2.0 message or batch'
+        )));
+        return;
+    }
+
+    // A session starts with an initialize request that carries no session ID
+    let session;
+    if (message.method === 'initialize' && !req.get('Mcp-Session-Id')) {
+        expireSessions();
+        session = createSession(res.locals.identity);
+    } else {
+        session = getRequestSession(req, res);
+        if (!session) return;
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    const hasRequests = messages.some(item => item.method !== undefined && item.id !== undefined);
+
+    // Notifications and responses are acknowledged without a body
+    if (!hasRequests) {
+        await handleJsonRpcMessage(session, message);
+        res.status(202).end();
+        return;
+    }
+
+    // Tool calls may run for a while, so stream them when the client allows it
+    const useSse = (req.get('Accept') ?? '').includes('text/event-stream')
+        && messages.some(item => item.method === 'tools/call');
+
+    if (useSse) {
+        openSseStream(res, session);
+    }
+
+    const response = await handleJsonRpcMessage(session, message, useSse ? res : null);
+
+    if (message.method === 'initialize' && !response.error) {
+        sessions.set(session.id, session);
+        logger.debug(`Created MCP session: ${session.id}`);
+    }
+
+    if (useSse) {
+        writeSseEvent(res, response);
+        res.end();
+    } else {
+        if (sessions.has(session.id)) {
+            res.set('Mcp-Session-Id', session.id);
+        }
+        res.json(response);
+    }
+}
+
+/**
+ * Handle a Streamable HTTP GET that opens a stream for server messages
+ * @param {express.Request} req Request
+ * @param {express.Response} res Response
+ */
+function handleMcpGet(req, res) {
+    if (!(req.get('Accept') ?? '').includes('text/event-stream')) {
+        res.status(405).set('Allow', 'POST, DELETE').end();
+        return;
+    }
+
+    const session = getRequestSession(req, res);
+    if (!session) return;
+
+    openSseStream(res, session);
+    session.streams.add(res);
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_INTERVAL);
+    res.on('close', () => {
+        clearInterval(keepAlive);
+        session.streams.delete(res);
+        session.lastSeen = Date.now();
+    });
+}
+
+/**
+ * Handle a Streamable HTTP DELETE that terminates a session
+ * @param {express.Request} req Request
+ * @param {express.Response} res Response
+ */
+function handleMcpDelete(req, res) {
+    const session = getRequestSession(req, res);
+    if (!session) return;
+
+    logger.debug(`Closing MCP session: ${session.id}`);
+    closeSession(session);
+    res.status(204).end();
+}
+
+/**
+ * Start an SSE response
+ * @param {express.Response} res Response
+ * @param {object} session Session state
+ */
+function openSseStream(res, session) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Mcp-Session-Id': session.id
+    });
+    res.flushHeaders();
+}
+
+/**
+ * Write a JSON-RPC message as an SSE event
+ * @param {express.Response} res Response
+ * @param {object} message JSON-RPC message
+ */
+function writeSseEvent(res, message) {
+    res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Send a legacy error message to a client
+ * @param {WebSocket} ws WebSocket connection
+ * @param {Error} error Error to report
+ */
+function sendError(ws, error) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({
+            type: 'error',
+            error: {
+                code: error.code || ErrorCodes.SERVER_ERROR,
+                message: error.message,
+                details: error.details
+            }
+        }));
+    }
+}
+
+/**
+ * Send a message to a single client
+ * @param {WebSocket} ws WebSocket connection
+ * @param {string} type Message type
+ * @param {object} data Message data
+ */
+function sendMessage(ws, type, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type, data }));
+    }
+}
+
+/**
+ * Broadcast a message to all connected legacy clients
+ *
+ * Connections that have not sent a message yet may turn out to be JSON-RPC
+ * clients and are skipped.
+ * @param {string} type Message type
+ * @param {object} data Message data
+ * @param {string} [subject] Tool name, resource URI or prompt name the message is about, clients that may not use it are skipped
+ */
+function broadcast(type, data, subject) {
+    clients.forEach((client, ws) => {
+        if (client.protocol !== 'legacy') return;
+        if (subject !== undefined && !isAllowed(settings.permissions, client.identity, Actions.EXECUTE, subject)) return;
+        sendMessage(ws, type, data);
+    });
+}
+
+/**
+ * Send a notification to all initialized JSON-RPC clients
+ * @param {string} method Notification method
+ * @param {object} [params] Notification parameters
+ */
+function notifyClients(method, params) {
+    for (const client of [...clients.values(), ...sessions.values()]) {
+        if (client.protocol === 'jsonrpc' && client.state === 'ready') {
+            client.send(createNotification(method, params));
+        }
+    }
+}
+
+/**
+ * Build a history filter from validated query parameters
+ * @param {object} query Query string parameters
+ * @returns {object} History filter
+ */
+function getHistoryFilter({ tool, status, client, since, until }) {
+    return {
+        tool,
+        status,
+        client,
+        since: since === undefined ? undefined : Date.parse(since),
+        until: until === undefined ? undefined : Date.parse(until)
+    };
+}
+
+/**
+ * Create Express router for plugin endpoints
+ * @returns {express.Router} Express router
+ */
+export function createRouter() {
+    const router = express.Router();
+
+    // Serve static files
+    router.use('/public', express.static(path.join(__dirname, 'public')));
+
+    // Settings endpoints
+    router.get('/settings', (req, res) => {
+        res.json(getPublicSettings());
+    });
+
+    router.post('/settings', express.json(), async (req, res, next) => {
+        try {
+            // Removed keys fall back to their defaults
+            const newSettings = mergeSettings(DEFAULT_SETTINGS, mergeSettings(settings, req.body));
+
+            // Tokens are only managed through the token endpoints
+            if (newSettings.auth && typeof newSettings.auth === 'object') {
+                newSettings.auth.tokens = settings.auth.tokens;
+            }
+
+            validateSettings(newSettings);
+            const previous = settings;
+            const restartRequired = getRestartRequired(previous, newSettings);
+
+            // Bind the new port first so a port in use leaves the settings unchanged
+            if (restartRequired.length > 0) {
+                await moveWebSocketServer(newSettings.websocket);
+            }
+            settings = newSettings;
+            
+            // Update log level
+            logger.setLevel(settings.logging.level);
+
+            // Apply the new retention policy
+            if (!isDeepStrictEqual(previous.history, settings.history)) {
+                history.configure(settings.history);
+            }
+
+            if (!isDeepStrictEqual(previous.builtins, settings.builtins)) {
+                syncBuiltins();
+            }
+
+            if (!isDeepStrictEqual(previous.scriptTools, settings.scriptTools)) {
+                syncScriptTools();
+            }
+
+            // Apply MCP server changes in the background
+            if (!isDeepStrictEqual(previous.mcpServers, settings.mcpServers)) {
+                syncMcpServers().catch((error) => {
+                    logger.error('Failed to apply MCP server settings:', error);
+                });
+            }
+
+            await persistSettings();
+            res.json({ settings: getPublicSettings(), restartRequired });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Authentication endpoints
+    // POST puts the request under SillyTavern's CSRF check, and req.user is only
+    // set for requests SillyTavern has authenticated
+    router.post('/auth/ui-token', (req, res) => {
+        if (!req.user) {
+            logger.warn('Rejected UI token request without a SillyTavern user', {
+                address: req.socket.remoteAddress,
+                origin: req.headers.origin
+            });
+            res.status(401).json(new MCPError(
+                ErrorCodes.UNAUTHORIZED,
+                'UI token requires a SillyTavern session'
+            ).toJSON());
+            return;
+        }
+        res.json({ token: uiToken });
+    });
+
+    router.get('/auth/tokens', (req, res) => {
+        res.json((settings.auth?.tokens ?? []).map(toPublicTokenRecord));
+    });
+
+    router.post('/auth/tokens', express.json(), async (req, res, next) => {
+        try {
+            validateTokenCreation(req.body);
+
+            // Names identify clients in permission rules, so they must be unique
+            if ((settings.auth?.tokens ?? []).some(token => token.name === req.body.name)) {
+                throw new MCPError(
+                    ErrorCodes.INVALID_NAME,
+                    `Token name already in use: ${req.body.name}`
+                );
+            }
+
+            const { token, record } = createTokenRecord(req.body.name);
+            settings.auth = { ...settings.auth, tokens: [...(settings.auth?.tokens ?? []), record] };
+            logger.info(`Created token: ${record.name}`);
+            await persistSettings();
+
+            // The plain token is only ever returned here
+            res.status(201).json({ ...toPublicTokenRecord(record), token });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.delete('/auth/tokens/:id', async (req, res, next) => {
+        try {
+            const tokens = settings.auth?.tokens ?? [];
+            const record = tokens.find(token => token.id === req.params.id);
+            if (!record) {
+                throw new MCPError(
+                    ErrorCodes.INVALID_ARGUMENTS,
+                    `Unknown token: ${req.params.id}`
+                );
+            }
+
+            settings.auth = { ...settings.auth, tokens: tokens.filter(token => token !== record) };
+            disconnectToken(record.id);
+            logger.info(`Revoked token: ${record.name}`);
+            await persistSettings();
+            res.status(204).end();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Execution history endpoints
+    router.get('/history', (req, res, next) => {
+        try {
+            validateHistoryQuery(req.query);
+            const { limit = '50', offset = '0' } = req.query;
+            res.json(history.query(getHistoryFilter(req.query), {
+                limit: Number(limit),
+                offset: Number(offset)
+            }));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/history/:id', (req, res, next) => {
+        try {
+            const record = history.get(req.params.id);
+            if (!record) {
+                throw new MCPError(
+                    ErrorCodes.INVALID_ARGUMENTS,
+                    `Unknown history record: ${req.params.id}`
+                );
+            }
+            res.json(record);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.delete('/history', (req, res, next) => {
+        try {
+            validateHistoryQuery(req.query);
+            const deleted = history.purge(getHistoryFilter(req.query));
+            logger.info(`Purged ${deleted} execution history records`);
+            res.json({ deleted });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // MCP Streamable HTTP transport
+    router.post('/mcp', requireAuth, express.text({ type: () => true, limit: '4mb' }), (req, res, next) => {
+        handleMcpPost(req, res).catch(next);
+    });
+    router.get('/mcp', requireAuth, handleMcpGet);
+    router.delete('/mcp', requireAuth, handleMcpDelete);
+
+    // Error handling
+    router.use(errorHandler);
+
+    return router;
+}
+
+/**
+ * Plugin event handlers
+ */
+export const events = {
+    async onShutdown() {
+        logger.info('Shutting down MCP Extension');
+        if (wsServer) {
+            wsServer.close();
+        }
+
+        // Let running executions finish, then cancel the ones still running at the deadline
+        if (!await waitForExecutions(() => executions.size === 0, settings.websocket.drainTimeout)) {
+            executions.forEach(({ name, controller }) => controller.abort(createCancellationError(name, 'shutdown')));
+            await waitForExecutions(() => executions.size === 0, 1000);
+        }
+
+        clients.forEach((client, ws) => ws.close(CloseCodes.GOING_AWAY, 'Server shutting down'));
+        departedOwners.forEach(({ timer }) => clearTimeout(timer));
+        departedOwners.clear();
+        sessions.forEach(closeSession);
+        await Promise.all(Array.from(mcpServers.values()).map(server => server.stop()));
+        mcpServers.clear();
+        await history.flush();
+        await settingsWrites.catch(() => {});
     }
 };
\ No newline at end of file
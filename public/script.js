@@ -3,6 +3,7 @@
  */
 window.mcpExtension = {
     socket: null,
+    token: null,
     settings: {
         websocket: {
             port: 5005
@@ -12,7 +13,63 @@ window.mcpExtension = {
         }
     },
     tools: new Map(),
-    activeExecutions: new Map()
+    resources: new Map(),
+    prompts: new Map(),
+    activeExecutions: new Map(),
+    chatApprovals: new Map(),
+    functionTools: new Map(),
+    pendingCalls: new Map(),
+    pendingPrompts: new Map(),
+    busySockets: new Map()
+};
+
+/**
+ * URI of the built-in current chat resource
+ */
+const CHAT_URI = 'sillytavern://chat/current';
+
+/**
+ * URI of the built-in character list resource
+ */
+const CHARACTERS_URI = 'sillytavern://characters';
+
+/**
+ * URI template of the built-in World Info resource
+ */
+const WORLD_INFO_TEMPLATE = 'sillytavern://worldinfo/{book}';
+
+/**
+ * Handlers of the built-in SillyTavern tools by name
+ */
+const BUILTIN_TOOLS = {
+    st_get_chat: getChat,
+    st_list_characters: listCharacters,
+    st_send_message: sendChatMessage,
+    st_select_character: selectCharacter,
+    st_get_world_info: getWorldInfo,
+    st_set_world_info_entry: setWorldInfoEntry
+};
+
+/**
+ * Default fields of a new World Info entry
+ */
+const NEW_WORLD_INFO_ENTRY = {
+    comment: '',
+    content: '',
+    constant: false,
+    selective: true,
+    selectiveLogic: 0,
+    addMemo: true,
+    order: 100,
+    position: 0,
+    disable: false,
+    excludeRecursion: false,
+    preventRecursion: false,
+    probability: 100,
+    useProbability: true,
+    depth: 4,
+    group: '',
+    role: 0
 };
 
 /**
@@ -36,11 +93,12 @@ function setLogLevel(level) {
 
 /**
  * Create tool execution UI element
+ * @param {string} executionId Execution ID
  * @param {string} toolName Tool name
  * @param {object} args Tool arguments
  * @returns {HTMLElement|null} Tool execution element
  */
-function createToolExecutionElement(toolName, args) {
+function createToolExecutionElement(executionId, toolName, args) {
     const template = document.querySelector('#tool-execution-template');
     if (!(template instanceof HTMLTemplateElement)) {
         console.error('Tool execution template not found');
@@ -67,14 +125,21 @@ function createToolExecutionElement(toolName, args) {
         argsElement.textContent = JSON.stringify(args, null, 2);
     }
 
+    const cancelButton = container.querySelector('.mcp-tool-cancel');
+    if (cancelButton) {
+        cancelButton.addEventListener('click', () => {
+            sendMessage('cancel_execution', { executionId, reason: 'Cancelled by user' });
+        }, { once: true });
+    }
+
     return container;
 }
 
 /**
  * Update tool execution status
  * @param {string} executionId Execution ID
- * @param {string} status Status ('running'|'success'|'error')
- * @param {object} [data] Optional result or error data
+ * @param {string} status Status ('pending'|'running'|'success'|'error'|'cancelled')
+ * @param {object} [data] Optional result, error or progress data
  */
 function updateToolExecution(executionId, status, data) {
     const execution = window.mcpExtension.activeExecutions.get(executionId);
@@ -88,6 +153,7 @@ function updateToolExecution(executionId, status, data) {
     const resultDisplay = element.querySelector('.result-display');
     const errorDisplay = element.querySelector('.error-display');
     const errorContainer = element.querySelector('.mcp-tool-error');
+    const cancelButton = element.querySelector('.mcp-tool-cancel');
 
     // Update status if elements exist
     if (indicator && statusText) {
@@ -95,38 +161,882 @@ function updateToolExecution(executionId, status, data) {
         statusText.textContent = status.charAt(0).toUpperCase() + status.slice(1);
     }
 
+    // Executions can be cancelled until they finish
+    const active = status === 'pending' || status === 'running';
+    cancelButton?.classList.toggle('hidden', !active);
+
+    // Render progress updates while the tool runs
+    if (status === 'running' && data) {
+        renderProgress(element, data);
+    }
+
     // Update result/error if elements exist
     if (status === 'success' && resultDisplay && errorContainer) {
-        resultDisplay.textContent = JSON.stringify(data, null, 2);
+        renderResult(resultDisplay, data);
         errorContainer.classList.add('hidden');
     } else if (status === 'error' && errorDisplay && errorContainer) {
-        errorDisplay.textContent = JSON.stringify(data, null, 2);
+        // Structured failures show their content, other errors as they came
+        const result = data?.details?.result;
+        renderResult(errorDisplay, isStructuredResult(result) ? result : data);
         errorContainer.classList.remove('hidden');
     }
 
     // Remove from active executions if completed
-    if (status !== 'running') {
+    if (!active) {
         window.mcpExtension.activeExecutions.delete(executionId);
     }
 }
 
+/**
+ * Check if a tool result is a structured result with content blocks
+ * @param {any} result Tool result
+ * @returns {boolean} True if the result has a content array
+ */
+function isStructuredResult(result) {
+    return Array.isArray(result?.content);
+}
+
+/**
+ * Render a tool result, replacing what the container showed before
+ * @param {HTMLElement} container Result container
+ * @param {any} result Tool result or error
+ */
+function renderResult(container, result) {
+    if (!isStructuredResult(result)) {
+        const pre = document.createElement('pre');
+        pre.textContent = JSON.stringify(result, null, 2);
+        container.replaceChildren(pre);
+        return;
+    }
+
+    container.replaceChildren(...result.content.map(createContentElement));
+
+    if (result.structuredContent !== undefined) {
+        const section = document.createElement('details');
+        const heading = document.createElement('summary');
+        heading.textContent = 'Structured content';
+        const pre = document.createElement('pre');
+        pre.textContent = JSON.stringify(result.structuredContent, null, 2);
+        section.append(heading, pre);
+        container.appendChild(section);
+    }
+}
+
+/**
+ * Create the element showing a content block of a structured result
+ * @param {object} block Content block
+ * @returns {HTMLElement} Content element
+ */
+function createContentElement(block) {
+    const element = document.createElement('div');
+    element.className = `mcp-content-block ${block.type}`;
+
+    switch (block.type) {
+        case 'text':
+            renderMarkdown(element, block.text);
+            break;
+
+        case 'image': {
+            const image = document.createElement('img');
+            image.src = `data:${block.mimeType};base64,${block.data}`;
+            image.alt = block.mimeType;
+            element.appendChild(image);
+            break;
+        }
+
+        case 'audio': {
+            const audio = document.createElement('audio');
+            audio.controls = true;
+            audio.src = `data:${block.mimeType};base64,${block.data}`;
+            element.appendChild(audio);
+            break;
+        }
+
+        case 'resource': {
+            const { uri, mimeType, text, blob } = block.resource;
+            const label = document.createElement('div');
+            label.className = 'mcp-content-resource';
+            label.textContent = mimeType ? `${uri} (${mimeType})` : uri;
+            element.appendChild(label);
+
+            if (text !== undefined) {
+                const pre = document.createElement('pre');
+                pre.textContent = text;
+                element.appendChild(pre);
+            } else {
+                const link = document.createElement('a');
+                link.href = `data:${mimeType ?? 'application/octet-stream'};base64,${blob}`;
+                link.download = uri.split('/').pop() || 'resource';
+                link.textContent = 'Download';
+                element.appendChild(link);
+            }
+            break;
+        }
+
+        case 'resource_link': {
+            const link = document.createElement('a');
+            // Only web links open, other schemes are shown as text
+            if (/^https?:\/\//i.test(block.uri)) {
+                link.href = block.uri;
+            }
+            link.title = block.uri;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = block.title ?? block.name;
+            element.appendChild(link);
+            if (block.description) {
+                element.append(` ${block.description}`);
+            }
+            break;
+        }
+
+        default: {
+            const pre = document.createElement('pre');
+            pre.textContent = JSON.stringify(block, null, 2);
+            element.appendChild(pre);
+        }
+    }
+
+    return element;
+}
+
+/**
+ * Render markdown with SillyTavern's message formatting
+ *
+ * messageFormatting sanitizes the HTML it produces. Without it the text is
+ * shown as it is.
+ * @param {HTMLElement} element Element to fill
+ * @param {string} text Markdown text
+ */
+function renderMarkdown(element, text) {
+    const format = window.SillyTavern?.getContext?.().messageFormatting;
+    if (format) {
+        element.innerHTML = format(text, '', false, false, -1);
+    } else {
+        element.classList.add('mcp-content-text');
+        element.textContent = text;
+    }
+}
+
+/**
+ * Render a progress update in a tool execution element
+ * @param {HTMLElement} element Tool execution element
+ * @param {object} data Progress data { progress, message, content }
+ */
+function renderProgress(element, data) {
+    const { progress, message, content } = data;
+    const progressContainer = element.querySelector('.mcp-tool-progress');
+    const progressBar = element.querySelector('.progress-bar');
+    const progressText = element.querySelector('.progress-text');
+    const outputContainer = element.querySelector('.mcp-tool-output');
+    const outputDisplay = element.querySelector('.output-display');
+
+    if (progressContainer && progressBar instanceof HTMLProgressElement && progressText
+        && (progress !== undefined || message !== undefined)) {
+        // A bar without a value is shown as indeterminate
+        if (progress !== undefined) {
+            progressBar.value = progress;
+        }
+        progressText.textContent = message ?? `${Math.round(progressBar.value)}%`;
+        progressContainer.classList.remove('hidden');
+    }
+
+    if (content && outputContainer && outputDisplay) {
+        outputDisplay.textContent += content;
+        outputDisplay.scrollTop = outputDisplay.scrollHeight;
+        outputContainer.classList.remove('hidden');
+    }
+}
+
+/**
+ * Get the ID of the chat open in SillyTavern
+ * @returns {string|null} Chat ID or null if no chat is open
+ */
+function getCurrentChatId() {
+    return window.SillyTavern?.getContext?.().chatId ?? null;
+}
+
+/**
+ * Check if a tool was approved for every call in the current chat
+ * @param {string} toolName Tool name
+ * @returns {boolean} True if the tool is always allowed
+ */
+function isAlwaysAllowed(toolName) {
+    const chatId = getCurrentChatId();
+    return chatId !== null && window.mcpExtension.chatApprovals.get(chatId)?.has(toolName) === true;
+}
+
+/**
+ * Always allow a tool in the current chat
+ * @param {string} toolName Tool name
+ */
+function allowForChat(toolName) {
+    const chatId = getCurrentChatId();
+    if (chatId === null) return;
+
+    const approvals = window.mcpExtension.chatApprovals;
+    if (!approvals.has(chatId)) {
+        approvals.set(chatId, new Set());
+    }
+    approvals.get(chatId).add(toolName);
+}
+
+/**
+ * Get a function name the chat model accepts for a tool
+ * @param {string} toolName Tool name
+ * @returns {string} Name made of letters, digits, underscores and dashes
+ */
+function getFunctionName(toolName) {
+    return toolName.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+}
+
+/**
+ * Offer a tool to the chat model through SillyTavern function calling
+ * @param {object} tool Tool definition
+ */
+function registerFunctionTool({ name: toolName, title, description, schema, builtin }) {
+    const context = window.SillyTavern?.getContext?.();
+    // Built-in tools operate SillyTavern for outside agents, not for the chat model
+    if (!context?.registerFunctionTool || builtin) return;
+
+    const functionName = getFunctionName(toolName);
+    const owner = window.mcpExtension.functionTools.get(functionName);
+    if (owner !== undefined && owner !== toolName) {
+        console.warn(`MCP tool ${toolName} clashes with ${owner} as function ${functionName}, skipping`);
+        return;
+    }
+
+    context.registerFunctionTool({
+        name: functionName,
+        displayName: title ?? toolName,
+        description: description ?? schema.description ?? `Call the ${toolName} tool`,
+        parameters: schema,
+        action: (args) => callTool(toolName, args),
+        formatMessage: () => `Calling ${toolName}`
+    });
+    window.mcpExtension.functionTools.set(functionName, toolName);
+}
+
+/**
+ * Withdraw a tool from SillyTavern function calling
+ * @param {string} toolName Tool name
+ */
+function unregisterFunctionTool(toolName) {
+    const functionName = getFunctionName(toolName);
+    if (window.mcpExtension.functionTools.get(functionName) !== toolName) return;
+
+    window.SillyTavern?.getContext?.().unregisterFunctionTool?.(functionName);
+    window.mcpExtension.functionTools.delete(functionName);
+}
+
+/**
+ * Execute a tool for the chat model and wait for its result
+ * @param {string} toolName Tool name
+ * @param {object} args Tool arguments
+ * @returns {Promise<string>} Result as text for the model
+ */
+function callTool(toolName, args) {
+    const { socket } = window.mcpExtension;
+    if (socket?.readyState !== WebSocket.OPEN) {
+        return Promise.reject(createCallError('SERVER_ERROR', 'MCP extension is not connected'));
+    }
+
+    const executionId = crypto.randomUUID();
+    return new Promise((resolve, reject) => {
+        window.mcpExtension.pendingCalls.set(executionId, { resolve, reject });
+        sendMessage('execute_tool', { executionId, name: toolName, args: args ?? {} });
+    });
+}
+
+/**
+ * Create the error a failed tool call rejects with
+ * @param {string} code Error code from the server's ErrorCodes
+ * @param {string} message Error message
+ * @returns {Error} Error whose message starts with the code
+ */
+function createCallError(code, message) {
+    return Object.assign(new Error(`${code}: ${message}`), { code });
+}
+
+/**
+ * Settle a tool call made from the UI
+ * @param {string} executionId Execution ID
+ * @param {any} result Tool result, if the call succeeded
+ * @param {object} [error] Error { code, message }, if the call did not succeed
+ */
+function settleCall(executionId, result, error) {
+    const call = window.mcpExtension.pendingCalls.get(executionId);
+    if (!call) return;
+
+    window.mcpExtension.pendingCalls.delete(executionId);
+    if (error !== undefined) {
+        call.reject(createCallError(error.code, error.message));
+    } else {
+        call.resolve(formatCallResult(result));
+    }
+}
+
+/**
+ * Convert a tool result to the text returned to the chat model
+ *
+ * Text is kept as markdown. Images and audio are not sent to the model and
+ * are named by their type instead, since the execution card shows them.
+ * @param {any} result Tool result
+ * @returns {string} Result text
+ */
+function formatCallResult(result) {
+    if (!isStructuredResult(result)) {
+        return typeof result === 'string' ? result : JSON.stringify(result);
+    }
+
+    const parts = result.content.map(formatContentBlock);
+
+    // Tools that only return data still give the model something to read
+    if (result.structuredContent !== undefined && !result.content.some(block => block.type === 'text')) {
+        parts.push(JSON.stringify(result.structuredContent));
+    }
+    return parts.join('\n\n');
+}
+
+/**
+ * Convert a content block to markdown text
+ * @param {object} block Content block
+ * @returns {string} Block text, or a placeholder for images and audio
+ */
+function formatContentBlock(block) {
+    switch (block.type) {
+        case 'text':
+            return block.text;
+        case 'image':
+        case 'audio':
+            return `[${block.type}: ${block.mimeType}]`;
+        case 'resource':
+            return block.resource.text ?? `[resource: ${block.resource.uri}]`;
+        case 'resource_link':
+            return `[${block.title ?? block.name}](${block.uri})`;
+        default:
+            return JSON.stringify(block);
+    }
+}
+
+/**
+ * Render a prompt on the server
+ * @param {string} name Prompt name
+ * @param {object} args Argument values by name
+ * @returns {Promise<object>} Rendered prompt { description, messages }
+ */
+function requestPrompt(name, args) {
+    const { socket } = window.mcpExtension;
+    if (socket?.readyState !== WebSocket.OPEN) {
+        return Promise.reject(new Error('MCP extension is not connected'));
+    }
+
+    const requestId = crypto.randomUUID();
+    return new Promise((resolve, reject) => {
+        window.mcpExtension.pendingPrompts.set(requestId, { resolve, reject });
+        sendMessage('get_prompt', { requestId, name, arguments: args });
+    });
+}
+
+/**
+ * Settle a prompt request made from the UI
+ * @param {string} requestId Request ID
+ * @param {object} [prompt] Rendered prompt, if rendering succeeded
+ * @param {object} [error] Error { code, message }, if it failed
+ */
+function settlePrompt(requestId, prompt, error) {
+    const request = window.mcpExtension.pendingPrompts.get(requestId);
+    if (!request) return;
+
+    window.mcpExtension.pendingPrompts.delete(requestId);
+    if (error !== undefined) {
+        request.reject(createCallError(error.code, error.message));
+    } else {
+        request.resolve(prompt);
+    }
+}
+
+/**
+ * Add rendered prompt messages to the open chat
+ *
+ * User messages are sent as the user persona and assistant messages as the
+ * current character. The first image of a message becomes its attachment.
+ * @param {object[]} messages Prompt messages { role, content }
+ * @returns {Promise<void>}
+ */
+async function insertPromptMessages(messages) {
+    const context = window.SillyTavern?.getContext?.();
+    if (!context?.chatId) {
+        throw new Error('Open a chat first');
+    }
+
+    for (const { role, content } of messages) {
+        const message = content.type === 'image'
+            ? createChatMessage(context, role === 'user', '', { image: `data:${content.mimeType};base64,${content.data}` })
+            : createChatMessage(context, role === 'user', formatContentBlock(content));
+        context.chat.push(message);
+        context.addOneMessage(message);
+    }
+    await context.saveChat();
+}
+
+/**
+ * Create a message in SillyTavern's chat format
+ * @param {object} context SillyTavern context
+ * @param {boolean} isUser True for the user persona, false for the current character
+ * @param {string} text Message text
+ * @param {object} [extra] Extra message data such as an image
+ * @returns {object} Chat message
+ */
+function createChatMessage(context, isUser, text, extra = {}) {
+    return {
+        name: isUser ? context.name1 : context.name2,
+        is_user: isUser,
+        is_system: false,
+        send_date: new Date().toISOString(),
+        mes: text,
+        extra
+    };
+}
+
+/**
+ * Get the SillyTavern context for a built-in tool
+ * @returns {object} SillyTavern context
+ * @throws {Error} If the page does not provide a context
+ */
+function getSillyTavernContext() {
+    const context = window.SillyTavern?.getContext?.();
+    if (!context) {
+        throw new Error('SillyTavern context is not available');
+    }
+    return context;
+}
+
+/**
+ * Carry out work the server sent on a socket
+ *
+ * The server only accepts the outcome on the socket that received the
+ * request, so a socket replaced in the meantime stays open until its work
+ * is done.
+ * @param {WebSocket} socket Socket that received the request
+ * @param {Function} work Async function that reports the outcome
+ * @returns {Promise<void>}
+ */
+async function trackSocketWork(socket, work) {
+    const { busySockets } = window.mcpExtension;
+    busySockets.set(socket, (busySockets.get(socket) ?? 0) + 1);
+    try {
+        await work();
+    } finally {
+        const remaining = busySockets.get(socket) - 1;
+        if (remaining > 0) {
+            busySockets.set(socket, remaining);
+        } else {
+            busySockets.delete(socket);
+            if (window.mcpExtension.socket !== socket) {
+                socket.close();
+            }
+        }
+    }
+}
+
+/**
+ * Run a built-in tool the server forwarded and report the outcome
+ * @param {object} data Execution data { executionId, name, args }
+ * @param {WebSocket} socket Socket that received the call
+ * @returns {Promise<void>}
+ */
+function runBuiltinTool({ executionId, name, args }, socket) {
+    return trackSocketWork(socket, async () => {
+        try {
+            const handler = BUILTIN_TOOLS[name];
+            if (!handler) {
+                throw new Error(`Unknown built-in tool: ${name}`);
+            }
+
+            const data = await handler(args ?? {});
+            sendMessage('tool_execution_completed', {
+                executionId,
+                result: {
+                    content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
+                    structuredContent: data
+                }
+            }, socket);
+        } catch (error) {
+            sendMessage('tool_execution_failed', {
+                executionId,
+                error: { code: 'TOOL_EXECUTION_FAILED', message: error.message }
+            }, socket);
+        }
+    });
+}
+
+/**
+ * Read a built-in resource the server forwarded and report the outcome
+ * @param {object} data Read data { requestId, uri, params }
+ * @param {WebSocket} socket Socket that received the read
+ * @returns {Promise<void>}
+ */
+function readBuiltinResource({ requestId, uri, params }, socket) {
+    return trackSocketWork(socket, async () => {
+        try {
+            let data;
+            if (uri === CHAT_URI) {
+                data = await getChat();
+            } else if (uri === CHARACTERS_URI) {
+                data = listCharacters();
+            } else if (params?.book !== undefined) {
+                data = await getWorldInfo({ book: params.book });
+            } else {
+                throw new Error(`Unknown built-in resource: ${uri}`);
+            }
+
+            sendMessage('resource_read_completed', {
+                requestId,
+                uri,
+                contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }]
+            }, socket);
+        } catch (error) {
+            sendMessage('resource_read_failed', {
+                requestId,
+                uri,
+                error: { code: 'SERVER_ERROR', message: error.message }
+            }, socket);
+        }
+    });
+}
+
+/**
+ * Tell subscribers that a built-in resource changed
+ * @param {string} uri Resource URI
+ * @param {string} [key] Registered URI or URI template, if different from the URI
+ */
+function notifyResourceUpdated(uri, key = uri) {
+    // Nothing to notify while the built-ins are turned off
+    if (!window.mcpExtension.resources.has(key)) return;
+    sendMessage('resource_updated', { uri });
+}
+
+/**
+ * Report changes to the chat and characters made in SillyTavern itself
+ */
+function watchSillyTavernEvents() {
+    const context = window.SillyTavern?.getContext?.();
+    const { eventSource, eventTypes } = context ?? {};
+    if (!eventSource || !eventTypes) return;
+
+    const subscriptions = [
+        [CHAT_URI, ['CHAT_CHANGED', 'MESSAGE_SENT', 'MESSAGE_RECEIVED', 'MESSAGE_EDITED', 'MESSAGE_DELETED', 'MESSAGE_SWIPED']],
+        [CHARACTERS_URI, ['CHAT_CHANGED', 'CHARACTER_EDITED', 'CHARACTER_DELETED']]
+    ];
+    for (const [uri, names] of subscriptions) {
+        for (const name of names) {
+            if (eventTypes[name]) {
+                eventSource.on(eventTypes[name], () => notifyResourceUpdated(uri));
+            }
+        }
+    }
+}
+
+/**
+ * Convert a SillyTavern chat message for built-in tool results
+ * @param {object} message Chat message
+ * @param {number} index Position of the message in the chat
+ * @returns {object} { index, name, role, text, sendDate }
+ */
+function toChatEntry(message, index) {
+    return {
+        index,
+        name: message.name,
+        role: message.is_user ? 'user' : message.is_system ? 'system' : 'assistant',
+        text: message.mes,
+        sendDate: message.send_date
+    };
+}
+
+/**
+ * Read the open chat
+ * @param {object} [args] Tool arguments { limit }
+ * @returns {Promise<object>} { chatId, character, user, messages }
+ * @throws {Error} If no chat is open
+ */
+async function getChat({ limit } = {}) {
+    const context = getSillyTavernContext();
+    if (!context.chatId) {
+        throw new Error('No chat is open');
+    }
+
+    const start = limit === undefined ? 0 : Math.max(0, context.chat.length - limit);
+    return {
+        chatId: context.chatId,
+        character: context.name2,
+        user: context.name1,
+        messages: context.chat.slice(start).map((message, i) => toChatEntry(message, start + i))
+    };
+}
+
+/**
+ * List the characters
+ * @returns {object} { characters } with name, avatar and whether each is selected
+ */
+function listCharacters() {
+    const context = getSillyTavernContext();
+    return {
+        characters: context.characters.map((character, index) => ({
+            name: character.name,
+            avatar: character.avatar,
+            selected: String(index) === String(context.characterId)
+        }))
+    };
+}
+
+/**
+ * Send a message as the user and let the character reply
+ * @param {object} args Tool arguments { text, generate }
+ * @returns {Promise<object>} { messages } added to the chat
+ * @throws {Error} If no chat is open
+ */
+async function sendChatMessage({ text, generate = true }) {
+    const context = getSillyTavernContext();
+    if (!context.chatId) {
+        throw new Error('No chat is open');
+    }
+
+    const message = createChatMessage(context, true, text);
+    context.chat.push(message);
+    context.addOneMessage(message);
+    await context.saveChat();
+
+    const start = context.chat.length - 1;
+    if (generate) {
+        await context.generate('normal');
+    }
+    notifyResourceUpdated(CHAT_URI);
+    return { messages: context.chat.slice(start).map((entry, i) => toChatEntry(entry, start + i)) };
+}
+
+/**
+ * Switch to a character
+ *
+ * An exact avatar file name wins over a character name.
+ * @param {object} args Tool arguments { name }
+ * @returns {Promise<object>} { name, avatar, chatId } of the selected character
+ * @throws {Error} If no character matches
+ */
+async function selectCharacter({ name }) {
+    const context = getSillyTavernContext();
+    const byAvatar = context.characters.findIndex(character => character.avatar === name);
+    const index = byAvatar !== -1 ? byAvatar : context.characters.findIndex(character => character.name === name);
+    if (index === -1) {
+        throw new Error(`Character not found: ${name}`);
+    }
+
+    await context.selectCharacterById(String(index));
+    const character = context.characters[index];
+    return { name: character.name, avatar: character.avatar, chatId: getSillyTavernContext().chatId };
+}
+
+/**
+ * Load a World Info lorebook
+ * @param {object} context SillyTavern context
+ * @param {string} book Lorebook name
+ * @returns {Promise<object>} Lorebook data with entries keyed by UID
+ * @throws {Error} If the lorebook does not exist
+ */
+async function loadLorebook(context, book) {
+    const data = await context.loadWorldInfo(book);
+    if (!data?.entries) {
+        throw new Error(`Lorebook not found: ${book}`);
+    }
+    return data;
+}
+
+/**
+ * Convert a World Info entry for built-in tool results
+ * @param {object} entry SillyTavern World Info entry
+ * @returns {object} { uid, keys, secondaryKeys, comment, content, constant, disabled }
+ */
+function toWorldInfoEntry(entry) {
+    return {
+        uid: entry.uid,
+        keys: entry.key,
+        secondaryKeys: entry.keysecondary,
+        comment: entry.comment,
+        content: entry.content,
+        constant: entry.constant,
+        disabled: entry.disable
+    };
+}
+
+/**
+ * Read the entries of a lorebook
+ * @param {object} args Tool arguments { book }
+ * @returns {Promise<object>} { book, entries }
+ * @throws {Error} If the lorebook does not exist
+ */
+async function getWorldInfo({ book }) {
+    const data = await loadLorebook(getSillyTavernContext(), book);
+    return { book, entries: Object.values(data.entries).map(toWorldInfoEntry) };
+}
+
+/**
+ * Create a lorebook entry or change the given fields of an existing one
+ * @param {object} args Tool arguments { book, uid, keys, secondaryKeys, comment, content, constant, disabled }
+ * @returns {Promise<object>} The written entry
+ * @throws {Error} If the lorebook or the entry does not exist
+ */
+async function setWorldInfoEntry({ book, uid, keys, secondaryKeys, comment, content, constant, disabled }) {
+    const context = getSillyTavernContext();
+    const data = await loadLorebook(context, book);
+
+    let entry;
+    if (uid === undefined) {
+        const next = Math.max(-1, ...Object.values(data.entries).map(existing => existing.uid)) + 1;
+        entry = { ...NEW_WORLD_INFO_ENTRY, uid: next, key: [], keysecondary: [] };
+        data.entries[next] = entry;
+    } else {
+        entry = data.entries[uid];
+        if (!entry) {
+            throw new Error(`World Info entry not found: ${uid}`);
+        }
+    }
+
+    const changes = { key: keys, keysecondary: secondaryKeys, comment, content, constant, disable: disabled };
+    for (const [field, value] of Object.entries(changes)) {
+        if (value !== undefined) {
+            entry[field] = value;
+        }
+    }
+
+    await context.saveWorldInfo(book, data, true);
+    notifyResourceUpdated(`sillytavern://worldinfo/${encodeURIComponent(book)}`, WORLD_INFO_TEMPLATE);
+    return toWorldInfoEntry(entry);
+}
+
+/**
+ * Show approval controls for a pending execution
+ * @param {string} executionId Execution ID
+ */
+function showApprovalControls(executionId) {
+    const execution = window.mcpExtension.activeExecutions.get(executionId);
+    if (!execution || !execution.element) return;
+
+    const approval = execution.element.querySelector('.mcp-tool-approval');
+    const approveButton = approval?.querySelector('.approval-approve');
+    const denyButton = approval?.querySelector('.approval-deny');
+    const alwaysInput = approval?.querySelector('.approval-always');
+    if (!approval || !approveButton || !denyButton) return;
+
+    approveButton.addEventListener('click', () => {
+        if (alwaysInput instanceof HTMLInputElement && alwaysInput.checked) {
+            allowForChat(execution.name);
+        }
+        sendMessage('approve_execution', { executionId });
+    }, { once: true });
+
+    denyButton.addEventListener('click', () => {
+        sendMessage('deny_execution', { executionId, reason: 'Denied by user' });
+    }, { once: true });
+
+    approval.classList.remove('hidden');
+}
+
+/**
+ * Hide approval controls for an execution
+ * @param {string} executionId Execution ID
+ */
+function hideApprovalControls(executionId) {
+    const execution = window.mcpExtension.activeExecutions.get(executionId);
+    execution?.element?.querySelector('.mcp-tool-approval')?.classList.add('hidden');
+}
+
 /**
  * Initialize the extension
  */
 async function initializeMCP() {
     // Load settings
     await loadSettings();
+    await loadAuthToken();
     
     // Initialize WebSocket connection
     connectWebSocket();
 
     // Setup UI event handlers
     setupEventHandlers();
+    registerSlashCommands();
+    watchSillyTavernEvents();
 
     // Update UI
     updateUI();
 }
 
+/**
+ * Register the /mcp-list, /mcp-call and /mcp-status slash commands
+ */
+function registerSlashCommands() {
+    const context = window.SillyTavern?.getContext?.();
+    if (!context?.SlashCommandParser) return;
+
+    const { SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } = context;
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'mcp-list',
+        callback: () => JSON.stringify(Array.from(window.mcpExtension.tools.keys())),
+        returns: 'JSON array of registered tool names',
+        helpString: 'Lists the tools registered with the MCP extension.'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'mcp-call',
+        callback: async ({ tool }, text) => {
+            if (!tool) {
+                throw createCallError('INVALID_NAME', 'Tool name is required');
+            }
+
+            let args = {};
+            if (text?.trim()) {
+                try {
+                    args = JSON.parse(text);
+                } catch (error) {
+                    throw createCallError('INVALID_ARGUMENTS', `Arguments are not valid JSON: ${error.message}`);
+                }
+            }
+            if (!args || typeof args !== 'object' || Array.isArray(args)) {
+                throw createCallError('INVALID_ARGUMENTS', 'Arguments must be a JSON object');
+            }
+            return await callTool(tool, args);
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'tool',
+                description: 'Tool name',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true
+            })
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'Tool arguments as a JSON object',
+                typeList: [ARGUMENT_TYPE.DICTIONARY]
+            })
+        ],
+        returns: 'Tool result, objects as JSON',
+        helpString: 'Calls an MCP tool, for example <code>/mcp-call tool=search {"query": "cats"}</code>. Errors start with their error code.'
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'mcp-status',
+        callback: () => JSON.stringify({
+            connected: window.mcpExtension.socket?.readyState === WebSocket.OPEN,
+            port: window.mcpExtension.settings.websocket.port,
+            tools: window.mcpExtension.tools.size,
+            executions: window.mcpExtension.activeExecutions.size
+        }),
+        returns: 'JSON object with the connection state and counts',
+        helpString: 'Shows whether the MCP extension is connected, its port and how many tools and executions it has.'
+    }));
+}
+
 /**
  * Load extension settings
  */
@@ -141,30 +1051,119 @@ async function loadSettings() {
             };
         }
     } catch (error) {
-        console.error('Failed to load MCP settings:', error);
+        console.error('Failed to load MCP settings:', error);
+    }
+}
+
+/**
+ * Load the token used to authenticate the WebSocket connection
+ */
+async function loadAuthToken() {
+    try {
+        // SillyTavern's headers carry the CSRF token the endpoint requires
+        const response = await fetch('/api/plugins/mcp-extension/auth/ui-token', {
+            method: 'POST',
+            headers: window.SillyTavern?.getContext?.().getRequestHeaders?.() ?? {}
+        });
+        if (response.ok) {
+            const { token } = await response.json();
+            window.mcpExtension.token = token;
+        }
+    } catch (error) {
+        console.error('Failed to load MCP auth token:', error);
     }
 }
 
 /**
  * Save extension settings
+ * @param {object} [update] Settings to send, all local settings by default
+ * @returns {Promise<boolean>} True if the settings were saved
  */
-async function saveSettings() {
+async function saveSettings(update = window.mcpExtension.settings) {
     try {
         const response = await fetch('/api/plugins/mcp-extension/settings', {
             method: 'POST',
+            // SillyTavern's headers carry the CSRF token the endpoint requires
             headers: {
+                ...window.SillyTavern?.getContext?.().getRequestHeaders?.(),
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(window.mcpExtension.settings)
+            body: JSON.stringify(update)
         });
         
+        const result = await response.json();
         if (!response.ok) {
-            throw new Error('Failed to save settings');
+            throw new Error(result.message ?? 'Failed to save settings');
         }
+
+        window.mcpExtension.settings = result.settings;
+        return true;
     } catch (error) {
         console.error('Failed to save MCP settings:', error);
-        alert('Failed to save settings. Check console for details.');
+        alert(`Failed to save settings: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Load execution history matching the filters in the UI
+ */
+async function loadHistory() {
+    const params = getHistoryParams();
+    params.set('limit', '50');
+
+    try {
+        const response = await fetch(`/api/plugins/mcp-extension/history?${params}`);
+        if (!response.ok) {
+            throw new Error('Failed to load history');
+        }
+        const { records } = await response.json();
+        updateHistoryList(records);
+    } catch (error) {
+        console.error('Failed to load MCP execution history:', error);
+    }
+}
+
+/**
+ * Delete execution history records matching the filters in the UI
+ */
+async function purgeHistory() {
+    if (!confirm('Delete all execution history records matching the current filters?')) {
+        return;
+    }
+
+    try {
+        // SillyTavern's headers carry the CSRF token the endpoint requires
+        const response = await fetch(`/api/plugins/mcp-extension/history?${getHistoryParams()}`, {
+            method: 'DELETE',
+            headers: window.SillyTavern?.getContext?.().getRequestHeaders?.() ?? {}
+        });
+        if (!response.ok) {
+            throw new Error('Failed to purge history');
+        }
+        await loadHistory();
+    } catch (error) {
+        console.error('Failed to purge MCP execution history:', error);
+        alert('Failed to purge history. Check console for details.');
+    }
+}
+
+/**
+ * Get history query parameters from the filter inputs
+ * @returns {URLSearchParams} Query parameters
+ */
+function getHistoryParams() {
+    const params = new URLSearchParams();
+    const toolInput = document.getElementById('mcp_history_tool');
+    const statusSelect = document.getElementById('mcp_history_status');
+
+    if (toolInput instanceof HTMLInputElement && toolInput.value.trim()) {
+        params.set('tool', toolInput.value.trim());
+    }
+    if (statusSelect instanceof HTMLSelectElement && statusSelect.value) {
+        params.set('status', statusSelect.value);
     }
+    return params;
 }
 
 /**
@@ -172,21 +1171,35 @@ async function saveSettings() {
  */
 function connectWebSocket() {
     const { port } = window.mcpExtension.settings.websocket;
+    const token = encodeURIComponent(window.mcpExtension.token ?? '');
     
-    if (window.mcpExtension.socket) {
-        window.mcpExtension.socket.close();
+    // A socket still carrying out built-in calls is closed once they finish
+    const previous = window.mcpExtension.socket;
+    if (previous && !window.mcpExtension.busySockets.has(previous)) {
+        previous.close();
     }
 
-    const socket = new WebSocket(`ws://localhost:${port}`);
+    const socket = new WebSocket(`ws://localhost:${port}?token=${token}`);
     
     socket.onopen = () => {
         console.log('WebSocket connected');
         updateConnectionStatus(true);
+        // The first message marks the connection as a legacy client and returns the current state
+        socket.send(JSON.stringify({ type: 'list_tools' }));
     };
 
-    socket.onclose = () => {
+    socket.onclose = async (event) => {
+        // A socket replaced by a newer connection must not reconnect
+        if (window.mcpExtension.socket !== socket) {
+            return;
+        }
+
         console.log('WebSocket disconnected');
         updateConnectionStatus(false);
+        // The UI token changes when SillyTavern restarts
+        if (event.code === 4401) {
+            await loadAuthToken();
+        }
         // Try to reconnect after 5 seconds
         setTimeout(connectWebSocket, 5000);
     };
@@ -197,9 +1210,14 @@ function connectWebSocket() {
     };
 
     socket.onmessage = (event) => {
+        // A replaced socket only finishes the calls it already received
+        if (window.mcpExtension.socket !== socket) {
+            return;
+        }
+
         try {
             const message = JSON.parse(event.data);
-            handleWebSocketMessage(message);
+            handleWebSocketMessage(message, socket);
         } catch (error) {
             console.error('Failed to parse WebSocket message:', error);
         }
@@ -208,39 +1226,144 @@ function connectWebSocket() {
     window.mcpExtension.socket = socket;
 }
 
+/**
+ * Send a message to the server
+ * @param {string} type Message type
+ * @param {object} data Message data
+ * @param {WebSocket} [socket] Socket to send on, the current one by default
+ */
+function sendMessage(type, data, socket = window.mcpExtension.socket) {
+    if (socket?.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type, data }));
+    }
+}
+
 /**
  * Handle incoming WebSocket messages
  * @param {object} message Message object
+ * @param {WebSocket} socket Socket that received the message
  */
-function handleWebSocketMessage(message) {
+function handleWebSocketMessage(message, socket) {
     switch (message.type) {
+        case 'server_moving': {
+            // Reconnect on the new port, the server closes the old connection once its calls are done
+            const { port } = message.data;
+            window.mcpExtension.settings.websocket.port = port;
+            const portInput = document.getElementById('mcp_websocket_port');
+            if (portInput instanceof HTMLInputElement) {
+                portInput.value = port.toString();
+            }
+            connectWebSocket();
+            break;
+        }
+
         case 'tool_registered':
-            window.mcpExtension.tools.set(message.data.name, message.data.schema);
+            window.mcpExtension.tools.set(message.data.name, message.data);
+            registerFunctionTool(message.data);
+            updateToolsList();
+            break;
+
+        case 'tool_unregistered':
+            window.mcpExtension.tools.delete(message.data.name);
+            unregisterFunctionTool(message.data.name);
             updateToolsList();
             break;
+
+        case 'resource_registered':
+            window.mcpExtension.resources.set(message.data.uri ?? message.data.uriTemplate, message.data);
+            break;
+
+        case 'resource_unregistered':
+            window.mcpExtension.resources.delete(message.data.uri ?? message.data.uriTemplate);
+            break;
+
+        case 'prompt_registered':
+            window.mcpExtension.prompts.set(message.data.name, message.data);
+            updatePromptsList();
+            break;
+
+        case 'prompt_unregistered':
+            window.mcpExtension.prompts.delete(message.data.name);
+            updatePromptsList();
+            break;
+
+        case 'execute_tool':
+            runBuiltinTool(message.data, socket);
+            break;
+
+        case 'read_resource':
+            readBuiltinResource(message.data, socket);
+            break;
+
+        case 'cancel_execution':
+            // Built-in tools finish their SillyTavern calls, the server drops the result
+            break;
+
+        case 'prompt_rendered':
+            settlePrompt(message.data.requestId, message.data);
+            break;
+
+        case 'prompt_failed':
+            settlePrompt(message.data.requestId, undefined, message.data.error);
+            break;
+            
+        case 'snapshot':
+            applySnapshot(message.data);
+            break;
             
         case 'tool_execution_started': {
             const { executionId, name, args } = message.data;
-            const element = createToolExecutionElement(name, args);
-            const executionsList = document.getElementById('mcp_executions_list');
+            addToolExecution(executionId, name, args);
+            updateToolExecution(executionId, 'running');
+            break;
+        }
             
-            if (element && executionsList) {
-                executionsList.appendChild(element);
-                window.mcpExtension.activeExecutions.set(executionId, { name, args, element });
+        case 'tool_approval_requested': {
+            const { executionId, name } = message.data;
+            handleApprovalRequest(executionId, name);
+            break;
+        }
+
+        case 'tool_approval_resolved': {
+            const { executionId, approved } = message.data;
+            hideApprovalControls(executionId);
+            if (approved) {
                 updateToolExecution(executionId, 'running');
             }
             break;
         }
-            
+
+        case 'tool_execution_progress': {
+            const { executionId, ...progress } = message.data;
+            updateToolExecution(executionId, 'running', progress);
+            break;
+        }
+
         case 'tool_execution_completed': {
             const { executionId, result } = message.data;
+            settleCall(executionId, result);
             updateToolExecution(executionId, 'success', result);
+            loadHistory();
             break;
         }
             
         case 'tool_execution_failed': {
             const { executionId, error } = message.data;
+            settleCall(executionId, undefined, error);
             updateToolExecution(executionId, 'error', error);
+            loadHistory();
+            break;
+        }
+
+        case 'tool_execution_cancelled': {
+            const { executionId, reason } = message.data;
+            settleCall(executionId, undefined, {
+                code: 'EXECUTION_CANCELLED',
+                message: `Tool call cancelled: ${reason ?? 'unknown reason'}`
+            });
+            hideApprovalControls(executionId);
+            updateToolExecution(executionId, 'cancelled');
+            loadHistory();
             break;
         }
             
@@ -249,6 +1372,91 @@ function handleWebSocketMessage(message) {
     }
 }
 
+/**
+ * Add an execution to the Tool Executions list
+ * @param {string} executionId Execution ID
+ * @param {string} name Tool name
+ * @param {object} args Tool arguments
+ */
+function addToolExecution(executionId, name, args) {
+    const element = createToolExecutionElement(executionId, name, args);
+    const executionsList = document.getElementById('mcp_executions_list');
+
+    if (element && executionsList) {
+        executionsList.appendChild(element);
+        window.mcpExtension.activeExecutions.set(executionId, { name, args, element });
+    }
+}
+
+/**
+ * Ask the user to approve an execution, unless the tool is always allowed in this chat
+ * @param {string} executionId Execution ID
+ * @param {string} name Tool name
+ */
+function handleApprovalRequest(executionId, name) {
+    if (isAlwaysAllowed(name)) {
+        sendMessage('approve_execution', { executionId });
+        return;
+    }
+    updateToolExecution(executionId, 'pending');
+    showApprovalControls(executionId);
+}
+
+/**
+ * Replace local state with a snapshot from the server
+ * @param {object} snapshot Snapshot { tools, executions, server }
+ */
+function applySnapshot({ tools, resources, resourceTemplates, prompts, executions }) {
+    window.mcpExtension.tools = new Map(tools.map(tool => [tool.name, tool]));
+    window.mcpExtension.resources = new Map([...resources, ...resourceTemplates]
+        .map(resource => [resource.uri ?? resource.uriTemplate, resource]));
+    window.mcpExtension.prompts = new Map(prompts.map(prompt => [prompt.name, prompt]));
+    updateToolsList();
+    updatePromptsList();
+
+    // Keep the functions offered to the chat model in step with the registry
+    for (const toolName of Array.from(window.mcpExtension.functionTools.values())) {
+        if (!window.mcpExtension.tools.has(toolName)) {
+            unregisterFunctionTool(toolName);
+        }
+    }
+    tools.forEach(registerFunctionTool);
+
+    // Executions that finished while disconnected are shown in the history
+    const running = new Set(executions.map(({ executionId }) => executionId));
+    for (const executionId of Array.from(window.mcpExtension.pendingCalls.keys())) {
+        if (!running.has(executionId)) {
+            settleCall(executionId, undefined, {
+                code: 'SERVER_ERROR',
+                message: 'Tool call finished while disconnected'
+            });
+        }
+    }
+    for (const [executionId, { element }] of window.mcpExtension.activeExecutions) {
+        if (!running.has(executionId)) {
+            element.remove();
+            window.mcpExtension.activeExecutions.delete(executionId);
+        }
+    }
+
+    for (const { executionId, name, args, status } of executions) {
+        const known = window.mcpExtension.activeExecutions.has(executionId);
+        if (!known) {
+            addToolExecution(executionId, name, args);
+        }
+
+        updateToolExecution(executionId, status);
+        if (status !== 'pending') {
+            hideApprovalControls(executionId);
+        } else if (!known) {
+            // Controls of a known execution are already shown
+            handleApprovalRequest(executionId, name);
+        }
+    }
+
+    loadHistory();
+}
+
 /**
  * Update connection status in UI
  * @param {boolean} connected Connection status
@@ -273,18 +1481,422 @@ function updateToolsList() {
         return;
     }
 
-    const toolsHtml = Array.from(window.mcpExtension.tools.entries())
-        .map(([name, schema]) => `
-            <div class="mcp-tool">
-                <div class="mcp-tool-name">${name}</div>
-                <div class="mcp-tool-schema">
-                    <pre>${JSON.stringify(schema, null, 2)}</pre>
-                </div>
-            </div>
-        `)
-        .join('');
+    toolsList.replaceChildren(...Array.from(window.mcpExtension.tools.values()).map(createToolElement));
+}
+
+/**
+ * Create the element showing a registered tool
+ * @param {object} tool Tool definition
+ * @returns {HTMLElement} Tool element
+ */
+function createToolElement(tool) {
+    const element = document.createElement('details');
+    element.className = 'mcp-tool';
+
+    const summary = document.createElement('summary');
+    if (tool.icon) {
+        const icon = document.createElement('img');
+        icon.className = 'mcp-tool-icon';
+        icon.src = tool.icon;
+        icon.alt = '';
+        summary.appendChild(icon);
+    }
+    const title = tool.title ?? tool.annotations?.title;
+    const fields = [
+        ['mcp-tool-title', title ?? tool.name],
+        ['mcp-tool-id', title ? tool.name : undefined],
+        ['mcp-tool-version', tool.version && `v${tool.version}`]
+    ];
+    for (const [className, text] of fields) {
+        if (!text) continue;
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        summary.appendChild(span);
+    }
+    for (const [className, text] of getToolBadges(tool)) {
+        const badge = document.createElement('span');
+        badge.className = `mcp-tool-badge ${className}`;
+        badge.textContent = text;
+        summary.appendChild(badge);
+    }
+    element.appendChild(summary);
+
+    if (tool.description) {
+        const description = document.createElement('div');
+        description.className = 'mcp-tool-description';
+        description.textContent = tool.description;
+        element.appendChild(description);
+    }
+
+    if (tool.tags?.length) {
+        const tags = document.createElement('div');
+        tags.className = 'mcp-tool-tags';
+        for (const tag of tool.tags) {
+            const span = document.createElement('span');
+            span.className = 'mcp-tool-tag';
+            span.textContent = tag;
+            tags.appendChild(span);
+        }
+        element.appendChild(tags);
+    }
+
+    const parameters = Object.entries(tool.schema.properties ?? {});
+    if (parameters.length > 0) {
+        const required = new Set(tool.schema.required ?? []);
+        const list = document.createElement('ul');
+        list.className = 'mcp-tool-parameters';
+        for (const [name, property] of parameters) {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = name;
+            item.appendChild(code);
+            const type = Array.isArray(property?.type) ? property.type.join(' | ') : property?.type;
+            const notes = [type, required.has(name) ? 'required' : undefined].filter(Boolean).join(', ');
+            item.append(notes ? ` (${notes})` : '', property?.description ? ` ${property.description}` : '');
+            list.appendChild(item);
+        }
+        element.appendChild(list);
+    }
+
+    const schemas = [['Input schema', tool.schema], ['Output schema', tool.outputSchema]];
+    for (const [label, schema] of schemas) {
+        if (!schema) continue;
+        const section = document.createElement('details');
+        section.className = 'mcp-tool-schema';
+        const heading = document.createElement('summary');
+        heading.textContent = label;
+        const pre = document.createElement('pre');
+        pre.textContent = JSON.stringify(schema, null, 2);
+        section.append(heading, pre);
+        element.appendChild(section);
+    }
+
+    return element;
+}
+
+/**
+ * Describe the annotations of a tool as badges
+ * @param {object} tool Tool definition
+ * @returns {string[][]} [className, text] pairs
+ */
+function getToolBadges({ annotations = {}, requiresApproval, builtin }) {
+    const badges = [];
+    if (builtin) badges.push(['builtin', 'built-in']);
+    if (annotations.readOnlyHint) badges.push(['read-only', 'read-only']);
+    if (annotations.destructiveHint) badges.push(['destructive', 'destructive']);
+    if (annotations.idempotentHint) badges.push(['idempotent', 'idempotent']);
+    if (annotations.openWorldHint) badges.push(['open-world', 'open world']);
+    if (requiresApproval) badges.push(['approval', 'needs approval']);
+    return badges;
+}
+
+/**
+ * Update the list of script tools in the UI
+ */
+function updateScriptToolsList() {
+    const scriptToolsList = document.getElementById('mcp_script_tools_list');
+    if (!scriptToolsList) return;
+
+    const scriptTools = window.mcpExtension.settings.scriptTools ?? [];
+    if (scriptTools.length === 0) {
+        scriptToolsList.innerHTML = '<div class="mcp-no-script-tools">No script tools defined</div>';
+        return;
+    }
+
+    scriptToolsList.replaceChildren(...scriptTools.map(createScriptToolElement));
+}
+
+/**
+ * Create the element showing a script tool with its edit and delete buttons
+ * @param {object} tool Script tool from settings
+ * @returns {HTMLElement} Script tool element
+ */
+function createScriptToolElement(tool) {
+    const element = document.createElement('div');
+    element.className = 'mcp-script-tool';
+
+    const name = document.createElement('span');
+    name.className = 'mcp-tool-title';
+    name.textContent = tool.disabled ? `${tool.name} (disabled)` : tool.name;
+    name.title = tool.description ?? '';
+
+    const editButton = document.createElement('button');
+    editButton.className = 'menu_button';
+    editButton.title = 'Edit tool';
+    editButton.innerHTML = '<i class="fa-solid fa-pen"></i>';
+    editButton.addEventListener('click', () => editScriptTool(tool));
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'menu_button';
+    deleteButton.title = 'Delete tool';
+    deleteButton.innerHTML = '<i class="fa-solid fa-trash"></i>';
+    deleteButton.addEventListener('click', () => deleteScriptTool(tool.name));
+
+    element.append(name, editButton, deleteButton);
+    return element;
+}
+
+/**
+ * Get the script tool editor inputs
+ * @returns {object} Inputs { name, description, schema, code, network, approval }, missing ones are null
+ */
+function getScriptToolInputs() {
+    return {
+        name: document.getElementById('mcp_script_name'),
+        description: document.getElementById('mcp_script_description'),
+        schema: document.getElementById('mcp_script_schema'),
+        code: document.getElementById('mcp_script_code'),
+        network: document.getElementById('mcp_script_network'),
+        approval: document.getElementById('mcp_script_approval')
+    };
+}
+
+/**
+ * Fill the script tool editor with a tool, or clear it
+ * @param {object} [tool] Script tool from settings
+ */
+function editScriptTool(tool) {
+    const inputs = getScriptToolInputs();
+    if (Object.values(inputs).some(input => !input)) return;
+
+    inputs.name.value = tool?.name ?? '';
+    inputs.description.value = tool?.description ?? '';
+    inputs.schema.value = tool ? JSON.stringify(tool.schema, null, 2) : '';
+    inputs.code.value = tool?.code ?? '';
+    inputs.network.checked = tool?.allowNetwork === true;
+    inputs.approval.checked = tool?.requiresApproval === true;
+}
+
+/**
+ * Save the tool in the script tool editor, replacing a tool with the same name
+ *
+ * The server checks the schema and compiles the code, and the editor keeps
+ * its contents if it rejects them.
+ */
+async function saveScriptTool() {
+    const inputs = getScriptToolInputs();
+    if (Object.values(inputs).some(input => !input)) return;
+
+    const name = inputs.name.value.trim();
+    let schema;
+    try {
+        schema = inputs.schema.value.trim() === '' ? { type: 'object', properties: {} } : JSON.parse(inputs.schema.value);
+    } catch (error) {
+        alert(`Schema is not valid JSON: ${error.message}`);
+        return;
+    }
+
+    const previous = window.mcpExtension.settings.scriptTools?.find(tool => tool.name === name);
+    const tool = {
+        ...previous,
+        name,
+        description: inputs.description.value.trim() || undefined,
+        schema,
+        code: inputs.code.value,
+        allowNetwork: inputs.network.checked || undefined,
+        requiresApproval: inputs.approval.checked || undefined
+    };
+    const current = window.mcpExtension.settings.scriptTools ?? [];
+    const scriptTools = previous
+        ? current.map(entry => entry.name === name ? tool : entry)
+        : [...current, tool];
+
+    if (await saveSettings({ scriptTools })) {
+        editScriptTool();
+        updateScriptToolsList();
+    }
+}
+
+/**
+ * Delete a script tool
+ * @param {string} name Tool name
+ */
+async function deleteScriptTool(name) {
+    if (!confirm(`Delete script tool ${name}?`)) return;
+
+    const scriptTools = (window.mcpExtension.settings.scriptTools ?? []).filter(tool => tool.name !== name);
+    if (await saveSettings({ scriptTools })) {
+        updateScriptToolsList();
+    }
+}
+
+/**
+ * Update prompts list in UI
+ */
+function updatePromptsList() {
+    const promptsList = document.getElementById('mcp_prompts_list');
+    if (!promptsList) return;
+
+    if (window.mcpExtension.prompts.size === 0) {
+        promptsList.innerHTML = '<div class="mcp-no-prompts">No prompts registered</div>';
+        return;
+    }
+
+    promptsList.replaceChildren(...Array.from(window.mcpExtension.prompts.values()).map(createPromptElement));
+}
+
+/**
+ * Create the element showing a prompt with a form for its arguments
+ * @param {object} prompt Prompt definition
+ * @returns {HTMLElement} Prompt element
+ */
+function createPromptElement(prompt) {
+    const element = document.createElement('details');
+    element.className = 'mcp-prompt';
+
+    const summary = document.createElement('summary');
+    const title = document.createElement('span');
+    title.className = 'mcp-tool-title';
+    title.textContent = prompt.title ?? prompt.name;
+    summary.appendChild(title);
+    if (prompt.title) {
+        const name = document.createElement('span');
+        name.className = 'mcp-tool-id';
+        name.textContent = prompt.name;
+        summary.appendChild(name);
+    }
+    element.appendChild(summary);
+
+    if (prompt.description) {
+        const description = document.createElement('div');
+        description.className = 'mcp-tool-description';
+        description.textContent = prompt.description;
+        element.appendChild(description);
+    }
+
+    const form = document.createElement('form');
+    form.className = 'mcp-prompt-form';
+    const inputs = prompt.arguments.map((argument) => {
+        const label = document.createElement('label');
+        label.textContent = argument.required ? `${argument.title ?? argument.name} *` : argument.title ?? argument.name;
+        if (argument.description) {
+            label.title = argument.description;
+        }
+        const input = createArgumentInput(argument);
+        label.appendChild(input);
+        form.appendChild(label);
+        return [argument, input];
+    });
+
+    const insertButton = document.createElement('button');
+    insertButton.type = 'submit';
+    insertButton.className = 'menu_button';
+    insertButton.innerHTML = '<i class="fa-solid fa-comment-medical"></i> Insert into chat';
+    form.appendChild(insertButton);
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const args = {};
+        for (const [argument, input] of inputs) {
+            if (input instanceof HTMLInputElement && input.type === 'checkbox') {
+                args[argument.name] = String(input.checked);
+            } else if (input.value !== '') {
+                args[argument.name] = input.value;
+            }
+        }
+
+        insertButton.disabled = true;
+        try {
+            const { messages } = await requestPrompt(prompt.name, args);
+            await insertPromptMessages(messages);
+        } catch (error) {
+            console.error('Failed to insert MCP prompt:', error);
+            alert(`Failed to insert prompt: ${error.message}`);
+        } finally {
+            insertButton.disabled = false;
+        }
+    });
+    element.appendChild(form);
+
+    return element;
+}
+
+/**
+ * Create the input for a prompt argument
+ * @param {object} argument Argument definition { name, required, type, enum }
+ * @returns {HTMLInputElement|HTMLSelectElement} Input element
+ */
+function createArgumentInput(argument) {
+    if (argument.enum) {
+        const select = document.createElement('select');
+        select.className = 'text_pole';
+        const values = argument.required ? argument.enum : ['', ...argument.enum];
+        for (const value of values) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        }
+        return select;
+    }
+
+    const input = document.createElement('input');
+    if (argument.type === 'boolean') {
+        input.type = 'checkbox';
+        return input;
+    }
+
+    input.className = 'text_pole';
+    input.required = argument.required === true;
+    if (argument.type === 'number' || argument.type === 'integer') {
+        input.type = 'number';
+        input.step = argument.type === 'integer' ? '1' : 'any';
+    } else {
+        input.type = 'text';
+    }
+    return input;
+}
+
+/**
+ * Update execution history list in UI
+ * @param {object[]} records History records, newest first
+ */
+function updateHistoryList(records) {
+    const historyList = document.getElementById('mcp_history_list');
+    if (!historyList) return;
+
+    if (records.length === 0) {
+        historyList.innerHTML = '<div class="mcp-no-history">No recorded executions</div>';
+        return;
+    }
+
+    historyList.replaceChildren(...records.map(createHistoryElement));
+}
+
+/**
+ * Create a history record UI element
+ * @param {object} record History record
+ * @returns {HTMLElement} Collapsible record element
+ */
+function createHistoryElement(record) {
+    const element = document.createElement('details');
+    element.className = 'mcp-history-record';
+
+    const summary = document.createElement('summary');
+    const fields = [
+        ['history-tool', record.tool],
+        [`history-status ${record.status}`, record.status],
+        ['history-time', new Date(record.startedAt).toLocaleString()],
+        ['history-duration', `${record.durationMs} ms`]
+    ];
+    for (const [className, text] of fields) {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        summary.appendChild(span);
+    }
+    element.appendChild(summary);
+
+    const details = document.createElement('pre');
+    details.textContent = JSON.stringify({
+        client: record.client,
+        args: record.args,
+        ...(record.status === 'success' ? { result: record.result } : { error: record.error })
+    }, null, 2);
+    element.appendChild(details);
 
-    toolsList.innerHTML = toolsHtml;
+    return element;
 }
 
 /**
@@ -313,6 +1925,17 @@ function setupEventHandlers() {
         });
     }
 
+    // Built-in tools toggle
+    const builtinsInput = document.getElementById('mcp_builtins_enabled');
+    if (builtinsInput && builtinsInput instanceof HTMLInputElement) {
+        builtinsInput.checked = window.mcpExtension.settings.builtins?.enabled !== false;
+        builtinsInput.addEventListener('change', (e) => {
+            if (e.target instanceof HTMLInputElement) {
+                window.mcpExtension.settings.builtins = { enabled: e.target.checked };
+            }
+        });
+    }
+
     // Restart server button
     const restartButton = document.getElementById('mcp_restart_server');
     if (restartButton) {
@@ -322,10 +1945,37 @@ function setupEventHandlers() {
         });
     }
 
+    // History filters
+    const historyTool = document.getElementById('mcp_history_tool');
+    if (historyTool) {
+        historyTool.addEventListener('change', loadHistory);
+    }
+
+    const historyStatus = document.getElementById('mcp_history_status');
+    if (historyStatus) {
+        historyStatus.addEventListener('change', loadHistory);
+    }
+
+    const historyRefresh = document.getElementById('mcp_history_refresh');
+    if (historyRefresh) {
+        historyRefresh.addEventListener('click', loadHistory);
+    }
+
+    const historyPurge = document.getElementById('mcp_history_purge');
+    if (historyPurge) {
+        historyPurge.addEventListener('click', purgeHistory);
+    }
+
     // Apply settings button
     const applyButton = document.getElementById('mcp_apply_settings');
     if (applyButton) {
-        applyButton.addEventListener('click', saveSettings);
+        applyButton.addEventListener('click', () => saveSettings());
+    }
+
+    // Script tool editor
+    const scriptSave = document.getElementById('mcp_script_save');
+    if (scriptSave) {
+        scriptSave.addEventListener('click', saveScriptTool);
     }
 }
 
@@ -335,6 +1985,9 @@ function setupEventHandlers() {
 function updateUI() {
     updateConnectionStatus(window.mcpExtension.socket?.readyState === WebSocket.OPEN);
     updateToolsList();
+    updatePromptsList();
+    updateScriptToolsList();
+    loadHistory();
 }
 
 // Initialize when document is ready
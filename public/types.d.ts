@@ -6,28 +6,235 @@ interface ToolExecution {
     element: HTMLElement;
 }
 
+interface ToolProgress {
+    progress?: number;
+    message?: string;
+    content?: string;
+}
+
+interface HistoryRecord {
+    id: string;
+    executionId: string;
+    tool: string;
+    args: any;
+    client: string | null;
+    status: 'success' | 'error' | 'cancelled';
+    result?: any;
+    error?: {
+        code: string;
+        message: string;
+        details?: any;
+    };
+    startedAt: string;
+    finishedAt: string;
+    durationMs: number;
+}
+
+interface MCPServerConfig {
+    command: string;
+    args?: string[];
+    env?: Record<string, string>;
+    cwd?: string;
+    disabled?: boolean;
+    timeout?: number;
+}
+
+interface ScriptTool {
+    name: string;
+    title?: string;
+    description?: string;
+    schema: object;
+    code: string;
+    timeout?: number;
+    memoryLimit?: number;
+    allowNetwork?: boolean;
+    requiresApproval?: boolean;
+    disabled?: boolean;
+}
+
 interface MCPSettings {
     websocket: {
         port: number;
+        drainTimeout?: number;
+        reconnectGrace?: number;
     };
     logging: {
         level: LogLevel;
     };
+    execution?: {
+        timeout: number;
+    };
+    approval?: {
+        tools: string[];
+        timeout: number;
+    };
+    builtins?: {
+        enabled: boolean;
+    };
+    scriptTools?: ScriptTool[];
+    history?: {
+        enabled: boolean;
+        maxEntries: number;
+        maxAgeDays: number;
+    };
+    mcpServers?: Record<string, MCPServerConfig>;
+}
+
+interface ContentBlock {
+    type: 'text' | 'image' | 'audio' | 'resource' | 'resource_link';
+    text?: string;
+    data?: string;
+    mimeType?: string;
+    resource?: { uri: string; mimeType?: string; text?: string; blob?: string };
+    uri?: string;
+    name?: string;
+    title?: string;
+    description?: string;
+    size?: number;
+    annotations?: { audience?: ('user' | 'assistant')[]; priority?: number; lastModified?: string };
+}
+
+interface StructuredResult {
+    content: ContentBlock[];
+    structuredContent?: object;
+    isError?: boolean;
+}
+
+interface ToolAnnotations {
+    title?: string;
+    readOnlyHint?: boolean;
+    destructiveHint?: boolean;
+    idempotentHint?: boolean;
+    openWorldHint?: boolean;
+}
+
+interface ToolDefinition {
+    name: string;
+    title?: string;
+    description?: string;
+    schema: any;
+    outputSchema?: object;
+    annotations?: ToolAnnotations;
+    version?: string;
+    tags?: string[];
+    icon?: string;
+    requiresApproval: boolean;
+    builtin?: boolean;
+}
+
+interface ResourceDefinition {
+    uri?: string;
+    uriTemplate?: string;
+    name: string;
+    title?: string;
+    description?: string;
+    mimeType?: string;
+    size?: number;
+    annotations?: ContentBlock['annotations'];
+}
+
+interface PromptArgument {
+    name: string;
+    title?: string;
+    description?: string;
+    required?: boolean;
+    type?: 'string' | 'number' | 'integer' | 'boolean';
+    enum?: string[];
+}
+
+interface PromptDefinition {
+    name: string;
+    title?: string;
+    description?: string;
+    arguments: PromptArgument[];
+}
+
+interface PromptMessage {
+    role: 'user' | 'assistant';
+    content: ContentBlock;
+}
+
+interface Snapshot {
+    tools: ToolDefinition[];
+    resources: ResourceDefinition[];
+    resourceTemplates: ResourceDefinition[];
+    prompts: PromptDefinition[];
+    executions: {
+        executionId: string;
+        name: string;
+        args: object;
+        status: 'pending' | 'running';
+        startedAt: string;
+    }[];
+    server: {
+        name: string;
+        version: string;
+        port: number;
+        protocolVersions: string[];
+    };
+}
+
+interface SettingsUpdate {
+    settings: MCPSettings;
+    restartRequired: string[];
 }
 
 interface MCPExtension {
     socket: WebSocket | null;
+    token: string | null;
     settings: MCPSettings;
-    tools: Map<string, any>;
+    tools: Map<string, ToolDefinition>;
+    resources: Map<string, ResourceDefinition>;
+    prompts: Map<string, PromptDefinition>;
     activeExecutions: Map<string, ToolExecution>;
+    chatApprovals: Map<string, Set<string>>;
+    functionTools: Map<string, string>;
+    pendingCalls: Map<string, { resolve(result: string): void; reject(error: Error): void }>;
+    pendingPrompts: Map<string, { resolve(prompt: { description?: string; messages: PromptMessage[] }): void; reject(error: Error): void }>;
+}
+
+interface FunctionTool {
+    name: string;
+    displayName?: string;
+    description: string;
+    parameters: object;
+    action(args: object): Promise<string>;
+    formatMessage?(args: object): string;
 }
 
 interface Window {
     mcpExtension: MCPExtension;
+    SillyTavern?: {
+        getContext(): {
+            chatId?: string;
+            chat?: object[];
+            name1?: string;
+            name2?: string;
+            addOneMessage?(message: object): void;
+            saveChat?(): Promise<void>;
+            characters?: { name: string; avatar: string }[];
+            characterId?: string | number;
+            selectCharacterById?(id: string): Promise<void>;
+            generate?(type: string): Promise<void>;
+            loadWorldInfo?(name: string): Promise<{ entries: Record<string, any> } | null>;
+            saveWorldInfo?(name: string, data: object, immediately?: boolean): Promise<void>;
+            eventSource?: { on(event: string, listener: (...args: any[]) => void): void };
+            eventTypes?: Record<string, string>;
+            messageFormatting?(mes: string, chName: string, isSystem: boolean, isUser: boolean, messageId: number): string;
+            registerFunctionTool?(tool: FunctionTool): void;
+            unregisterFunctionTool?(name: string): void;
+            SlashCommandParser?: any;
+            SlashCommand?: any;
+            SlashCommandArgument?: any;
+            SlashCommandNamedArgument?: any;
+            ARGUMENT_TYPE?: Record<string, string>;
+        };
+    };
 }
 
 interface HTMLInputElement {
     value: string;
+    checked: boolean;
 }
 
 interface HTMLSelectElement {
@@ -0,0 +1,124 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createExecutionHistory } from '../utils/history.js';
+
+let dir;
+let file;
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-history-'));
+    file = path.join(dir, 'history.jsonl');
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Build an execution record
+ * @param {string} tool Tool name
+ * @param {object} [fields] Fields to override
+ * @returns {object} Execution details
+ */
+function execution(tool, fields = {}) {
+    const now = new Date().toISOString();
+    return { tool, status: 'success', client: 'test', startedAt: now, finishedAt: now, ...fields };
+}
+
+/**
+ * Read the records stored in a history file
+ * @param {string} historyFile File path
+ * @returns {Promise<object[]>} Parsed records
+ */
+async function readRecords(historyFile) {
+    const text = await fs.readFile(historyFile, 'utf8');
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('records survive a reload', async () => {
+    const history = createExecutionHistory(file);
+    const first = history.add(execution('alpha'));
+    history.add(execution('beta', { status: 'error' }));
+    await history.flush();
+
+    const reloaded = createExecutionHistory(file);
+    await reloaded.load();
+    assert.deepEqual(reloaded.get(first.id), first);
+    assert.equal(reloaded.query({ status: 'error' }).total, 1);
+});
+
+test('query returns newest first and honours the page', () => {
+    const history = createExecutionHistory(file);
+    for (const tool of ['a', 'b', 'c']) history.add(execution(tool));
+
+    const { total, records } = history.query({}, { limit: 2, offset: 0 });
+    assert.equal(total, 3);
+    assert.deepEqual(records.map(record => record.tool), ['c', 'b']);
+    assert.deepEqual(history.query({ tool: 'a*' }).records.map(record => record.tool), ['a']);
+});
+
+test('retention drops the oldest records', () => {
+    const history = createExecutionHistory(file, { maxEntries: 2 });
+    for (const tool of ['a', 'b', 'c']) history.add(execution(tool));
+    assert.deepEqual(history.query().records.map(record => record.tool), ['c', 'b']);
+
+    const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+    history.add(execution('d', { finishedAt: old }));
+    assert.equal(history.query({ tool: 'd' }).total, 0);
+});
+
+test('purge rewrites the file without the deleted records', async () => {
+    const history = createExecutionHistory(file);
+    history.add(execution('keep'));
+    history.add(execution('drop'));
+    await history.flush();
+
+    assert.equal(history.purge({ tool: 'drop' }), 1);
+    await history.flush();
+    assert.deepEqual((await readRecords(file)).map(record => record.tool), ['keep']);
+});
+
+test('compaction keeps changes made while the file is written', async (t) => {
+    const history = createExecutionHistory(file);
+    history.add(execution('first'));
+    history.add(execution('second'));
+    await history.flush();
+
+    // Change the history while the rewrite is between writing and renaming its file
+    const rename = fs.rename;
+    t.mock.method(fs, 'rename', async (...args) => {
+        fs.rename = rename;
+        history.add(execution('third'));
+        history.purge({ tool: 'second' });
+        history.add(execution('fourth'));
+        return rename(...args);
+    });
+    history.purge({ tool: 'first' });
+    await history.flush();
+
+    assert.deepEqual((await readRecords(file)).map(record => record.tool), ['third', 'fourth']);
+
+    const reloaded = createExecutionHistory(file);
+    await reloaded.load();
+    assert.deepEqual(reloaded.query().records.map(record => record.tool), ['fourth', 'third']);
+});
+
+test('compaction after many stale lines keeps the retained records', async () => {
+    const history = createExecutionHistory(file, { maxEntries: 10 });
+    for (let i = 0; i < 150; i++) {
+        history.add(execution(`tool${i}`));
+    }
+    await history.flush();
+    history.add(execution('last'));
+    await history.flush();
+
+    const stored = await readRecords(file);
+    assert.ok(stored.length < 150);
+    assert.deepEqual(
+        stored.slice(-10).map(record => record.tool),
+        history.query().records.map(record => record.tool).reverse()
+    );
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScript, checkScript } from '../utils/sandbox.js';
+import { MCPError, ErrorCodes } from '../utils/errors.js';
+
+/**
+ * Check that a promise rejects with a tool execution error
+ * @param {Promise<any>} promise Script call
+ * @param {RegExp} message Expected message
+ * @returns {Promise<void>}
+ */
+async function assertFails(promise, message) {
+    await assert.rejects(promise, (error) => {
+        assert.ok(error instanceof MCPError);
+        assert.equal(error.code, ErrorCodes.TOOL_EXECUTION_FAILED);
+        assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('returns the value of the script as JSON', async () => {
+    assert.deepEqual(await runScript('return { sum: args.a + args.b };', { a: 1, b: 2 }), { sum: 3 });
+    assert.equal(await runScript('await null;', {}), null);
+});
+
+test('reports errors thrown by the script', async () => {
+    await assertFails(runScript('throw new RangeError("too big");', {}), /RangeError: too big/);
+});
+
+test('rejects scripts that do not compile', () => {
+    assert.throws(() => checkScript('return {'), (error) => error.code === ErrorCodes.INVALID_HANDLER);
+    assert.doesNotThrow(() => checkScript('return await Promise.resolve(1);'));
+});
+
+test('hides the host environment', async () => {
+    const globals = await runScript(
+        'return [typeof require, typeof process, typeof fetch];',
+        {}
+    );
+    assert.deepEqual(globals, ['undefined', 'undefined', 'undefined']);
+    await assertFails(runScript('return eval("1");', {}), /EvalError/);
+    await assertFails(runScript('return args.constructor.constructor("return process")();', {}), /EvalError/);
+});
+
+test('ignores a JSON object replaced by the script', async () => {
+    assert.deepEqual(
+        await runScript('JSON.stringify = () => "not json{"; JSON.parse = () => 0; return { ok: true };', {}),
+        { ok: true }
+    );
+});
+
+test('rejects values that cannot be serialized', async () => {
+    await assertFails(runScript('const a = {}; a.self = a; return a;', {}), /TypeError/);
+});
+
+test('stops a script that never yields when the signal aborts', async () => {
+    const started = Date.now();
+    await assert.rejects(
+        runScript('while (true) {}', {}, { signal: AbortSignal.timeout(200) }),
+        (error) => error.name === 'TimeoutError'
+    );
+    assert.ok(Date.now() - started < 5000);
+});
+
+test('fails when the script exceeds its memory limit', async () => {
+    await assertFails(
+        runScript('const list = []; while (true) list.push(new Array(1e5).fill(list.length));', {}, { memoryLimit: 8 }),
+        /memory limit of 8 MB/
+    );
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, validateToolSchema, validateResourceUri } from '../utils/schema.js';
+
+test('validates types, required properties and nested errors', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            tags: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['name'],
+        additionalProperties: false
+    };
+
+    assert.deepEqual(validateSchema({ name: 'a', tags: ['x'] }, schema), { valid: true, errors: [] });
+
+    const { valid, errors } = validateSchema({ tags: ['x', 1], extra: true }, schema);
+    assert.equal(valid, false);
+    assert.ok(errors.some(error => error.startsWith('/tags/1:')));
+    assert.ok(errors.some(error => error.includes('name')));
+    assert.ok(errors.some(error => error.includes('extra')));
+});
+
+test('resolves local references', () => {
+    const schema = {
+        type: 'object',
+        properties: { child: { $ref: '#/$defs/node' } },
+        $defs: {
+            node: {
+                type: 'object',
+                properties: { child: { $ref: '#/$defs/node' }, value: { type: 'integer' } }
+            }
+        }
+    };
+
+    assert.equal(validateSchema({ child: { child: { value: 1 } } }, schema).valid, true);
+    assert.equal(validateSchema({ child: { child: { value: 'x' } } }, schema).valid, false);
+});
+
+test('applies patterns and pattern properties', () => {
+    const schema = {
+        type: 'object',
+        properties: { code: { type: 'string', pattern: '^[A-Z]{3}$' } },
+        patternProperties: { '^x-': { type: 'number' } }
+    };
+
+    assert.equal(validateSchema({ code: 'ABC', 'x-size': 2 }, schema).valid, true);
+    assert.equal(validateSchema({ code: 'abc' }, schema).valid, false);
+    assert.equal(validateSchema({ 'x-size': 'big' }, schema).valid, false);
+});
+
+test('checks regex formats without keeping them', () => {
+    const schema = { type: 'string', format: 'regex' };
+
+    assert.equal(validateSchema('^a+$', schema).valid, true);
+    assert.equal(validateSchema('(', schema).valid, false);
+
+    // Many distinct values must not change the result for later ones
+    for (let i = 0; i < 2000; i++) {
+        validateSchema(`^value${i}$`, schema);
+    }
+    assert.equal(validateSchema('[', schema).valid, false);
+});
+
+test('keeps validating after many distinct schema patterns', () => {
+    for (let i = 0; i < 1000; i++) {
+        const schema = { type: 'string', pattern: `^${i}$` };
+        assert.equal(validateSchema(String(i), schema).valid, true);
+        assert.equal(validateSchema(`${i}x`, schema).valid, false);
+    }
+});
+
+test('validates tool schemas against the meta-schema', () => {
+    assert.equal(validateToolSchema({ type: 'object', properties: {} }).valid, true);
+    assert.equal(validateToolSchema('object').valid, false);
+    assert.equal(validateToolSchema({ properties: {} }).valid, false);
+    assert.equal(validateToolSchema({ type: 'object', properties: { a: { type: 'nope' } } }).valid, false);
+    assert.equal(validateToolSchema({ type: 'string', pattern: '(' }).valid, false);
+    assert.equal(validateToolSchema({ type: 'object', properties: { a: { $ref: '#/$defs/missing' } } }).valid, false);
+});
+
+test('validates resource URIs', () => {
+    assert.equal(validateResourceUri('file://notes/today').valid, true);
+    assert.equal(validateResourceUri('notes/today').valid, false);
+    assert.equal(validateResourceUri(42).valid, false);
+});
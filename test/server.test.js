@@ -0,0 +1,1015 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { WebSocket } from 'ws';
+
+const WS_PORT = 5971;
+
+// Plugin config the tests start with
+const PLUGIN_CONFIG = {
+    websocket: { port: WS_PORT, drainTimeout: 100 },
+    logging: { level: 'error' },
+    auth: { required: false },
+    builtins: { enabled: false }
+};
+
+// The plugin keeps its state in the module, so one instance serves every test
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-server-'));
+process.env.MCP_EXTENSION_DATA_DIR = dataDir;
+const { init, events, createRouter } = await import('../index.js');
+
+let httpServer;
+let baseUrl;
+const sockets = new Set();
+
+before(async () => {
+    await init(PLUGIN_CONFIG);
+
+    const app = express();
+    // Stands in for SillyTavern's session middleware
+    app.use((req, res, next) => {
+        if (req.headers['x-test-user']) {
+            req.user = { profile: { handle: req.headers['x-test-user'] } };
+        }
+        next();
+    });
+    app.use('/plugin', createRouter());
+    httpServer = app.listen(0);
+    await new Promise(resolve => httpServer.once('listening', resolve));
+    baseUrl = `http://localhost:${httpServer.address().port}/plugin`;
+});
+
+after(async () => {
+    sockets.forEach(ws => ws.close());
+    await events.onShutdown();
+    await new Promise(resolve => httpServer.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Call the plugin router
+ * @param {string} method HTTP method
+ * @param {string} route Route below the plugin path
+ * @param {object} [body] JSON body
+ * @returns {Promise<object>} { status, body }
+ */
+async function request(method, route, body) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+/**
+ * Create an API token
+ * @param {string} name Token name
+ * @returns {Promise<string>} Plain token
+ */
+async function createToken(name) {
+    const { status, body } = await request('POST', '/auth/tokens', { name });
+    assert.equal(status, 201);
+    return body.token;
+}
+
+/**
+ * Open a WebSocket connection to the plugin
+ * @param {object} [options] Connection options
+ * @param {string} [options.token] API token
+ * @param {string} [options.protocol] WebSocket subprotocol
+ * @param {number} [options.port] WebSocket port
+ * @returns {Promise<object>} Connection helper
+ */
+async function connect({ token, protocol, port = WS_PORT } = {}) {
+    const query = token ? `?token=${encodeURIComponent(token)}` : '';
+    const ws = new WebSocket(`ws://localhost:${port}${query}`, protocol);
+    sockets.add(ws);
+
+    const messages = [];
+    const waiters = new Set();
+    ws.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        messages.push(message);
+        for (const waiter of waiters) {
+            if (waiter.match(message)) {
+                waiters.delete(waiter);
+                waiter.resolve(message);
+            }
+        }
+    });
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+
+    let nextId = 1;
+    const connection = {
+        ws,
+        messages,
+        send: (message) => ws.send(typeof message === 'string' ? message : JSON.stringify(message)),
+
+        /**
+         * Wait for a message, including one that already arrived
+         * @param {Function} match Message predicate
+         * @param {number} [timeout] Milliseconds to wait
+         * @returns {Promise<object>} Matching message
+         */
+        next(match, timeout = 2000) {
+            const found = messages.find(match);
+            if (found) {
+                messages.splice(messages.indexOf(found), 1);
+                return Promise.resolve(found);
+            }
+            return new Promise((resolve, reject) => {
+                const waiter = {
+                    match,
+                    resolve: (message) => {
+                        clearTimeout(timer);
+                        messages.splice(messages.indexOf(message), 1);
+                        resolve(message);
+                    }
+                };
+                const timer = setTimeout(() => {
+                    waiters.delete(waiter);
+                    reject(new Error('Timed out waiting for a message'));
+                }, timeout);
+                waiters.add(waiter);
+            });
+        },
+
+        /**
+         * Send a JSON-RPC request and wait for its response
+         * @param {string} method Method name
+         * @param {object} [params] Method parameters
+         * @returns {Promise<object>} JSON-RPC response
+         */
+        rpc(method, params) {
+            const id = nextId++;
+            connection.send({ jsonrpc: '2.0', id, method, params });
+            return connection.next(message => message.id === id);
+        },
+
+        /**
+         * Initialize a JSON-RPC session
+         * @returns {Promise<object>} Initialize result
+         */
+        async initialize() {
+            const { result } = await connection.rpc('initialize', {
+                protocolVersion: '2025-06-18',
+                capabilities: {},
+                clientInfo: { name: 'test', version: '1.0.0' }
+            });
+            connection.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+            return result;
+        }
+    };
+    return connection;
+}
+
+/**
+ * Connect a legacy client that registers a tool and answers its calls
+ * @param {string} name Tool name
+ * @param {Function} handler Called with the arguments and a progress reporter, returns the result
+ * @returns {Promise<object>} Connection helper
+ */
+async function provideTool(name, handler) {
+    const provider = await connect();
+    provider.ws.on('message', async (data) => {
+        const message = JSON.parse(data.toString());
+        if (message.type === 'execute_tool' && message.data.name === name) {
+            const { executionId, args } = message.data;
+            const report = (progress) => provider.send({ type: 'tool_execution_progress', data: { executionId, progress } });
+            provider.send({
+                type: 'tool_execution_completed',
+                data: { executionId, result: await handler(args, report) }
+            });
+        }
+    });
+    provider.send({
+        type: 'register_tool',
+        data: { name, schema: { type: 'object', properties: { text: { type: 'string' } } } }
+    });
+    await provider.next(message => message.type === 'tool_registered' && message.data.name === name);
+    return provider;
+}
+
+/**
+ * Replace the permission rules
+ * @param {object} permissions Permission settings
+ * @returns {Promise<void>}
+ */
+async function setPermissions(permissions) {
+    const { status } = await request('POST', '/settings', { permissions });
+    assert.equal(status, 200);
+}
+
+test('JSON-RPC: answers parse errors and requests before initialize', async () => {
+    const client = await connect({ protocol: 'mcp' });
+
+    client.send('{not json');
+    const parseError = await client.next(message => message.error?.code === -32700);
+    assert.equal(parseError.id, null);
+
+    const early = await client.rpc('tools/list');
+    assert.equal(early.error.code, -32600);
+
+    const ping = await client.rpc('ping');
+    assert.deepEqual(ping.result, {});
+});
+
+test('JSON-RPC: negotiates the protocol version', async () => {
+    const client = await connect({ protocol: 'mcp' });
+    const { result } = await client.rpc('initialize', { protocolVersion: '1999-01-01', capabilities: {} });
+    assert.equal(result.protocolVersion, '2025-06-18');
+    assert.ok(result.capabilities.tools);
+
+    const again = await client.rpc('initialize', { protocolVersion: '2025-06-18', capabilities: {} });
+    assert.equal(again.error.code, -32600);
+});
+
+test('JSON-RPC: rejects unknown methods, invalid requests and unknown tools', async () => {
+    const client = await connect({ protocol: 'mcp' });
+    await client.initialize();
+
+    const unknown = await client.rpc('tools/unknown');
+    assert.equal(unknown.error.code, -32601);
+
+    client.send({ jsonrpc: '2.0', id: 'bad', method: 42 });
+    const invalid = await client.next(message => message.id === 'bad');
+    assert.equal(invalid.error.code, -32600);
+
+    const missing = await client.rpc('tools/call', { name: 'no_such_tool', arguments: {} });
+    assert.ok(missing.error);
+});
+
+test('JSON-RPC: answers batches and ignores notifications', async () => {
+    const client = await connect({ protocol: 'mcp' });
+    await client.initialize();
+
+    client.send([
+        { jsonrpc: '2.0', id: 'a', method: 'ping' },
+        { jsonrpc: '2.0', method: 'notifications/unknown' },
+        { jsonrpc: '2.0', id: 'b', method: 'nope' }
+    ]);
+    const batch = await client.next(message => Array.isArray(message));
+    assert.equal(batch.length, 2);
+    assert.deepEqual(batch.find(item => item.id === 'a').result, {});
+    assert.equal(batch.find(item => item.id === 'b').error.code, -32601);
+});
+
+test('JSON-RPC: detects the protocol from the first message', async () => {
+    const client = await connect();
+    const result = await client.initialize();
+    assert.equal(result.serverInfo.name, 'MCP Extension');
+    assert.ok(!client.messages.some(message => message.type !== undefined));
+});
+
+test('JSON-RPC: keeps the protocol chosen by the client', async () => {
+    const subprotocol = await connect({ protocol: 'mcp' });
+    subprotocol.send({ type: 'register_tool', data: { name: 'sneaky_tool', schema: { type: 'object' } } });
+    const refused = await subprotocol.next(message => message.jsonrpc === '2.0');
+    assert.equal(refused.id, null);
+    assert.equal(refused.error.code, -32600);
+
+    const detected = await connect();
+    await detected.initialize();
+    detected.send({ type: 'execute_tool', data: { executionId: 'mixed-1', name: 'sneaky_tool', args: {} } });
+    assert.equal((await detected.next(message => message.error && message.id === null)).error.code, -32600);
+
+    const legacy = await connect();
+    legacy.send({ type: 'list_tools' });
+    const { data } = await legacy.next(message => message.type === 'snapshot');
+    assert.ok(!data.tools.some(tool => tool.name === 'sneaky_tool'));
+
+    legacy.send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    const { error } = await legacy.next(message => message.type === 'error');
+    assert.equal(error.code, 'INVALID_REQUEST');
+});
+
+test('JSON-RPC: calls tools of WebSocket providers', async () => {
+    const provider = await provideTool('echo_rpc', ({ text }) => `echo: ${text}`);
+    const client = await connect({ protocol: 'mcp' });
+    await client.initialize();
+
+    const { result: list } = await client.rpc('tools/list');
+    assert.ok(list.tools.some(tool => tool.name === 'echo_rpc' && tool.inputSchema.type === 'object'));
+
+    const { result } = await client.rpc('tools/call', { name: 'echo_rpc', arguments: { text: 'hi' } });
+    assert.deepEqual(result.content, [{ type: 'text', text: 'echo: hi' }]);
+
+    const invalid = await client.rpc('tools/call', { name: 'echo_rpc', arguments: { text: 1 } });
+    assert.equal(invalid.error.code, -32602);
+
+    provider.ws.close();
+});
+
+test('JSON-RPC: lists and calls only permitted tools', async () => {
+    const provider = await provideTool('secret_rpc', () => 'secret');
+    const token = await createToken('limited-rpc');
+    await setPermissions({ clients: { 'limited-rpc': { execute: ['public_*'] } } });
+
+    try {
+        const client = await connect({ token, protocol: 'mcp' });
+        await client.initialize();
+
+        const { result } = await client.rpc('tools/list');
+        assert.ok(!result.tools.some(tool => tool.name === 'secret_rpc'));
+
+        const denied = await client.rpc('tools/call', { name: 'secret_rpc', arguments: {} });
+        assert.ok(denied.error);
+    } finally {
+        await setPermissions({ clients: {} });
+        provider.ws.close();
+    }
+});
+
+test('legacy: sends a filtered snapshot after the first message', async () => {
+    const provider = await provideTool('secret_legacy', () => 'secret');
+    const token = await createToken('limited-legacy');
+    await setPermissions({ clients: { 'limited-legacy': { execute: ['public_*'] } } });
+
+    try {
+        const client = await connect({ token });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal(client.messages.length, 0);
+
+        client.send({ type: 'list_tools' });
+        const { data } = await client.next(message => message.type === 'snapshot');
+        assert.ok(!data.tools.some(tool => tool.name === 'secret_legacy'));
+
+        const open = await connect();
+        open.send({ type: 'list_tools' });
+        const { data: full } = await open.next(message => message.type === 'snapshot');
+        assert.ok(full.tools.some(tool => tool.name === 'secret_legacy'));
+    } finally {
+        await setPermissions({ clients: {} });
+        provider.ws.close();
+    }
+});
+
+test('legacy: fails calls to unknown tools without starting them', async () => {
+    const observer = await connect();
+    observer.send({ type: 'list_tools' });
+    await observer.next(message => message.type === 'snapshot');
+
+    const client = await connect();
+    client.send({ type: 'execute_tool', data: { executionId: 'ghost-1', name: 'ghost_tool', args: {} } });
+    const { data } = await client.next(message => message.type === 'tool_execution_failed');
+    assert.equal(data.executionId, 'ghost-1');
+    assert.equal(data.error.code, 'TOOL_NOT_FOUND');
+
+    const rpc = await connect({ protocol: 'mcp' });
+    await rpc.initialize();
+    const missing = await rpc.rpc('tools/call', { name: 'ghost_tool', arguments: {} });
+    assert.equal(missing.error.code, -32602);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(!observer.messages.some(message => message.type?.startsWith('tool_execution_')));
+    assert.equal((await request('GET', '/history?tool=ghost_tool')).body.total, 0);
+});
+
+/**
+ * Send a Streamable HTTP request
+ * @param {string} method HTTP method
+ * @param {object} [body] JSON-RPC message
+ * @param {object} [headers] Extra headers
+ * @returns {Promise<Response>} Fetch response
+ */
+function mcpRequest(method, body, headers = {}) {
+    return fetch(`${baseUrl}/mcp`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, text/event-stream',
+            ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+}
+
+/**
+ * Parse the JSON-RPC messages of an SSE body
+ * @param {string} text SSE body
+ * @returns {object[]} Messages in the order they were sent
+ */
+function parseSse(text) {
+    return text.split('\n')
+        .filter(line => line.startsWith('data: '))
+        .map(line => JSON.parse(line.slice('data: '.length)));
+}
+
+/**
+ * Start a Streamable HTTP session
+ * @returns {Promise<string>} Session ID
+ */
+async function startSession() {
+    const response = await mcpRequest('POST', {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'http', version: '1.0.0' } }
+    });
+    assert.equal(response.status, 200);
+    const sessionId = response.headers.get('Mcp-Session-Id');
+    assert.ok(sessionId);
+
+    const initialized = await mcpRequest('POST', { jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+    assert.equal(initialized.status, 202);
+    return sessionId;
+}
+
+test('HTTP: sends progress on the stream of the tool call', async () => {
+    const provider = await provideTool('slow_http', async (args, report) => {
+        report(25);
+        report(75);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return 'done';
+    });
+
+    try {
+        const sessionId = await startSession();
+        const response = await mcpRequest('POST', {
+            jsonrpc: '2.0',
+            id: 2,
+            method: 'tools/call',
+            params: { name: 'slow_http', arguments: {}, _meta: { progressToken: 'p1' } }
+        }, { 'Mcp-Session-Id': sessionId });
+        assert.match(response.headers.get('Content-Type'), /^text\/event-stream/);
+
+        const messages = parseSse(await response.text());
+        assert.deepEqual(
+            messages.filter(message => message.method === 'notifications/progress').map(message => message.params),
+            [
+                { progressToken: 'p1', progress: 25, total: 100 },
+                { progressToken: 'p1', progress: 75, total: 100 }
+            ]
+        );
+        assert.deepEqual(messages.at(-1).result.content, [{ type: 'text', text: 'done' }]);
+    } finally {
+        provider.ws.close();
+    }
+});
+
+test('HTTP: manages sessions', async () => {
+    const sessionId = await startSession();
+
+    const list = await mcpRequest('POST', { jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId });
+    assert.equal(list.status, 200);
+    assert.ok(Array.isArray((await list.json()).result.tools));
+
+    const missing = await mcpRequest('POST', { jsonrpc: '2.0', id: 3, method: 'ping' });
+    assert.equal(missing.status, 400);
+
+    const unknown = await mcpRequest('POST', { jsonrpc: '2.0', id: 4, method: 'ping' }, { 'Mcp-Session-Id': 'nope' });
+    assert.equal(unknown.status, 404);
+
+    const closed = await mcpRequest('DELETE', undefined, { 'Mcp-Session-Id': sessionId });
+    assert.equal(closed.status, 204);
+
+    const after = await mcpRequest('POST', { jsonrpc: '2.0', id: 5, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+    assert.equal(after.status, 404);
+});
+
+test('HTTP: gives the UI token only to SillyTavern users', async () => {
+    assert.equal((await fetch(`${baseUrl}/auth/ui-token`)).status, 404);
+
+    const anonymous = await request('POST', '/auth/ui-token');
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'UNAUTHORIZED');
+    assert.equal(anonymous.body.token, undefined);
+
+    const response = await fetch(`${baseUrl}/auth/ui-token`, {
+        method: 'POST',
+        headers: { 'X-Test-User': 'default-user' }
+    });
+    assert.equal(response.status, 200);
+    const { token } = await response.json();
+    assert.equal(typeof token, 'string');
+    assert.ok(token.length > 0);
+});
+
+test('HTTP: needs a CSRF token behind SillyTavern\'s CSRF check', async () => {
+    // Stands in for SillyTavern's CSRF middleware, which checks every request but GET, HEAD and OPTIONS
+    const app = express();
+    app.use((req, res, next) => {
+        if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || req.headers['x-csrf-token'] === 'csrf') {
+            next();
+        } else {
+            res.status(403).send('Invalid CSRF token');
+        }
+    });
+    app.use('/plugin', createRouter());
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const url = `http://localhost:${server.address().port}/plugin`;
+
+    try {
+        const initialize = {
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'initialize',
+            params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'csrf', version: '1.0.0' } }
+        };
+        const post = (route, body, headers = {}) => fetch(`${url}${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream', ...headers },
+            body: JSON.stringify(body)
+        });
+
+        // An MCP client without SillyTavern's CSRF token never reaches the transport
+        assert.equal((await post('/mcp', initialize)).status, 403);
+        assert.equal((await post('/auth/tokens', { name: 'csrf-bot' })).status, 403);
+        assert.equal((await post('/settings', {})).status, 403);
+        assert.equal((await fetch(`${url}/settings`)).status, 200);
+
+        const response = await post('/mcp', initialize, { 'X-CSRF-Token': 'csrf' });
+        assert.equal(response.status, 200);
+        const sessionId = response.headers.get('Mcp-Session-Id');
+        assert.ok(sessionId);
+        const closed = await fetch(`${url}/mcp`, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId, 'X-CSRF-Token': 'csrf' } });
+        assert.equal(closed.status, 204);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('HTTP: rejects bodies that are not JSON-RPC', async () => {
+    const invalid = await fetch(`${baseUrl}/mcp`, { method: 'POST', body: '{oops' });
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error.code, -32700);
+
+    const notRpc = await mcpRequest('POST', { hello: 'world' });
+    assert.equal(notRpc.status, 400);
+    assert.equal((await notRpc.json()).error.code, -32600);
+
+    const get = await fetch(`${baseUrl}/mcp`);
+    assert.equal(get.status, 405);
+});
+
+test('HTTP: sends server notifications on the GET stream', async () => {
+    const sessionId = await startSession();
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/mcp`, {
+        headers: { 'Accept': 'text/event-stream', 'Mcp-Session-Id': sessionId },
+        signal: controller.signal
+    });
+    assert.equal(response.status, 200);
+
+    const provider = await provideTool('listed_http', () => null);
+    try {
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let text = '';
+        while (!parseSse(text).some(message => message.method === 'notifications/tools/list_changed')) {
+            const { value, done } = await reader.read();
+            assert.ok(!done, 'Stream ended before the notification');
+            text += value;
+        }
+    } finally {
+        controller.abort();
+        provider.ws.close();
+        await mcpRequest('DELETE', undefined, { 'Mcp-Session-Id': sessionId });
+    }
+});
+
+/**
+ * Connect a legacy client that registers a resource and answers its reads
+ * @param {object} resource Resource registration
+ * @param {string} text Text content of every read
+ * @returns {Promise<object>} Connection helper
+ */
+async function provideResource(resource, text) {
+    const provider = await connect();
+    provider.ws.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        if (message.type === 'read_resource') {
+            const { requestId, uri } = message.data;
+            provider.send({ type: 'resource_read_completed', data: { requestId, contents: [{ uri, text }] } });
+        }
+    });
+    provider.send({ type: 'register_resource', data: resource });
+    await provider.next(message => message.type === 'resource_registered');
+    return provider;
+}
+
+test('resources: reads static resources and templates', async () => {
+    const notes = await provideResource({ uri: 'notes://readme', name: 'readme' }, 'hello');
+    const items = await provideResource({ uriTemplate: 'items://{id}', name: 'item' }, 'item');
+
+    try {
+        const client = await connect({ protocol: 'mcp' });
+        await client.initialize();
+
+        const { result: list } = await client.rpc('resources/list');
+        assert.ok(list.resources.some(resource => resource.uri === 'notes://readme'));
+        const { result: templates } = await client.rpc('resources/templates/list');
+        assert.ok(templates.resourceTemplates.some(template => template.uriTemplate === 'items://{id}'));
+
+        const { result } = await client.rpc('resources/read', { uri: 'items://42' });
+        assert.deepEqual(result.contents, [{ uri: 'items://42', text: 'item' }]);
+
+        const missing = await client.rpc('resources/read', { uri: 'other://x' });
+        assert.ok(missing.error);
+    } finally {
+        notes.ws.close();
+        items.ws.close();
+    }
+});
+
+test('resources: enforces permissions', async () => {
+    const provider = await provideResource({ uri: 'private://doc', name: 'doc' }, 'secret');
+    const token = await createToken('limited-resources');
+    await setPermissions({ clients: { 'limited-resources': { register: ['notes://*'], execute: ['notes://*'] } } });
+
+    try {
+        const client = await connect({ token, protocol: 'mcp' });
+        await client.initialize();
+
+        const { result } = await client.rpc('resources/list');
+        assert.ok(!result.resources.some(resource => resource.uri === 'private://doc'));
+
+        const read = await client.rpc('resources/read', { uri: 'private://doc' });
+        assert.match(read.error.message, /may not execute resource/);
+
+        const subscribe = await client.rpc('resources/subscribe', { uri: 'private://doc' });
+        assert.match(subscribe.error.message, /may not execute resource/);
+
+        const legacy = await connect({ token });
+        legacy.send({ type: 'register_resource', data: { uri: 'private://other', name: 'other' } });
+        const error = await legacy.next(message => message.type === 'error');
+        assert.equal(error.error.code, 'RESOURCE_ACCESS_DENIED');
+
+        legacy.send({ type: 'read_resource', data: { requestId: 'r1', uri: 'private://doc' } });
+        const failed = await legacy.next(message => message.type === 'resource_read_failed');
+        assert.equal(failed.data.error.code, 'RESOURCE_ACCESS_DENIED');
+
+        const { data } = await legacy.next(message => message.type === 'snapshot');
+        assert.ok(!data.resources.some(resource => resource.uri === 'private://doc'));
+    } finally {
+        await setPermissions({ clients: {} });
+        provider.ws.close();
+    }
+});
+
+test('prompts: renders prompts and enforces permissions', async () => {
+    const provider = await connect();
+    provider.send({
+        type: 'register_prompt',
+        data: {
+            name: 'greet_private',
+            arguments: [{ name: 'who', required: true }],
+            messages: [{ role: 'user', content: 'Hello {{who}}' }]
+        }
+    });
+    await provider.next(message => message.type === 'prompt_registered');
+
+    const token = await createToken('limited-prompts');
+    await setPermissions({ clients: { 'limited-prompts': { register: [], execute: ['public_*'] } } });
+
+    try {
+        const open = await connect({ protocol: 'mcp' });
+        await open.initialize();
+        const { result } = await open.rpc('prompts/get', { name: 'greet_private', arguments: { who: 'Ada' } });
+        assert.deepEqual(result.messages, [{ role: 'user', content: { type: 'text', text: 'Hello Ada' } }]);
+
+        const client = await connect({ token, protocol: 'mcp' });
+        await client.initialize();
+        const { result: list } = await client.rpc('prompts/list');
+        assert.ok(!list.prompts.some(prompt => prompt.name === 'greet_private'));
+        const denied = await client.rpc('prompts/get', { name: 'greet_private', arguments: { who: 'Ada' } });
+        assert.match(denied.error.message, /may not execute prompt/);
+
+        const legacy = await connect({ token });
+        legacy.send({ type: 'get_prompt', data: { requestId: 'p1', name: 'greet_private', arguments: { who: 'Ada' } } });
+        const failed = await legacy.next(message => message.type === 'prompt_failed');
+        assert.equal(failed.data.error.code, 'RESOURCE_ACCESS_DENIED');
+
+        legacy.send({ type: 'register_prompt', data: { name: 'mine', messages: [{ role: 'user', content: 'x' }] } });
+        const error = await legacy.next(message => message.type === 'error');
+        assert.equal(error.error.code, 'RESOURCE_ACCESS_DENIED');
+    } finally {
+        await setPermissions({ clients: {} });
+        provider.ws.close();
+    }
+});
+
+test('built-ins: hold writes for approval and gate resources by tool', async () => {
+    const token = await createToken('limited-builtins');
+    await setPermissions({ clients: { 'limited-builtins': { execute: ['st_list_*'] } } });
+    assert.equal((await request('POST', '/settings', { builtins: { enabled: true } })).status, 200);
+
+    try {
+        const open = await connect();
+        open.send({ type: 'list_tools' });
+        const { data } = await open.next(message => message.type === 'snapshot');
+        const approval = Object.fromEntries(data.tools.filter(tool => tool.builtin).map(tool => [tool.name, tool.requiresApproval]));
+        assert.equal(approval.st_send_message, true);
+        assert.equal(approval.st_set_world_info_entry, true);
+        assert.equal(approval.st_get_chat, false);
+
+        const client = await connect({ token, protocol: 'mcp' });
+        await client.initialize();
+        const { result } = await client.rpc('resources/list');
+        assert.deepEqual(result.resources.map(resource => resource.uri), ['sillytavern://characters']);
+        const { result: templates } = await client.rpc('resources/templates/list');
+        assert.deepEqual(templates.resourceTemplates, []);
+
+        const chat = await client.rpc('resources/read', { uri: 'sillytavern://chat/current' });
+        assert.match(chat.error.message, /may not execute resource/);
+        const book = await client.rpc('resources/subscribe', { uri: 'sillytavern://worldinfo/lore' });
+        assert.match(book.error.message, /may not execute resource/);
+
+        // Allowed, but fails since no SillyTavern page is connected
+        const characters = await client.rpc('resources/read', { uri: 'sillytavern://characters' });
+        assert.match(characters.error.message, /SillyTavern is not open/);
+    } finally {
+        await request('POST', '/settings', { builtins: { enabled: false } });
+        await setPermissions({ clients: {} });
+    }
+});
+
+test('executions: time out and cancel calls and tell the owner', async () => {
+    const provider = await provideTool('stuck_tool', () => new Promise(() => {}));
+
+    try {
+        const client = await connect();
+        client.send({ type: 'execute_tool', data: { executionId: 'stuck-1', name: 'stuck_tool', args: {}, timeout: 50 } });
+        const failed = await client.next(message => message.type === 'tool_execution_failed' && message.data.executionId === 'stuck-1');
+        assert.equal(failed.data.error.code, 'EXECUTION_TIMEOUT');
+        await provider.next(message => message.type === 'cancel_execution' && message.data.executionId === 'stuck-1');
+
+        // Results that arrive after the call ended are rejected
+        provider.send({ type: 'tool_execution_completed', data: { executionId: 'stuck-1', result: 'late' } });
+        assert.equal((await provider.next(message => message.type === 'error')).error.code, 'INVALID_ARGUMENTS');
+
+        client.send({ type: 'execute_tool', data: { executionId: 'stuck-2', name: 'stuck_tool', args: {} } });
+        await provider.next(message => message.type === 'execute_tool' && message.data.executionId === 'stuck-2');
+
+        const other = await connect();
+        other.send({ type: 'cancel_execution', data: { executionId: 'stuck-2' } });
+        assert.equal((await other.next(message => message.type === 'error')).error.code, 'RESOURCE_ACCESS_DENIED');
+        other.send({ type: 'cancel_execution', data: { executionId: 'no-such-execution' } });
+        assert.equal((await other.next(message => message.type === 'error')).error.code, 'INVALID_ARGUMENTS');
+
+        client.send({ type: 'cancel_execution', data: { executionId: 'stuck-2', reason: 'changed my mind' } });
+        const cancelled = await client.next(message => message.type === 'tool_execution_cancelled');
+        assert.deepEqual(cancelled.data, { executionId: 'stuck-2', reason: 'changed my mind' });
+        const forwarded = await provider.next(message => message.type === 'cancel_execution' && message.data.executionId === 'stuck-2');
+        assert.match(forwarded.data.reason, /changed my mind/);
+    } finally {
+        provider.ws.close();
+    }
+});
+
+test('executions: validate arguments before forwarding the call', async () => {
+    const provider = await connect();
+    provider.send({
+        type: 'register_tool',
+        data: {
+            name: 'strict_tool',
+            schema: {
+                type: 'object',
+                properties: {
+                    items: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' } } } },
+                    mode: { enum: ['fast', 'slow'] }
+                },
+                required: ['mode']
+            }
+        }
+    });
+    await provider.next(message => message.type === 'tool_registered' && message.data.name === 'strict_tool');
+
+    try {
+        const client = await connect();
+        client.send({ type: 'execute_tool', data: { executionId: 'strict-1', name: 'strict_tool', args: { items: [{ name: 5 }] } } });
+        const { data } = await client.next(message => message.type === 'tool_execution_failed' && message.data.executionId === 'strict-1');
+        assert.equal(data.error.code, 'INVALID_ARGUMENTS');
+        assert.ok(data.error.details.errors.some(error => error.startsWith('/items/0/name: ')));
+        assert.ok(data.error.details.errors.some(error => error.includes('mode')));
+
+        const rpc = await connect({ protocol: 'mcp' });
+        await rpc.initialize();
+        const invalid = await rpc.rpc('tools/call', { name: 'strict_tool', arguments: { mode: 'medium' } });
+        assert.equal(invalid.error.code, -32602);
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.ok(!provider.messages.some(message => message.type === 'execute_tool'));
+    } finally {
+        provider.ws.close();
+    }
+});
+
+test('registrations: only the owner unregisters, and disconnecting removes its tools', async () => {
+    const observer = await connect();
+    observer.send({ type: 'list_tools' });
+    await observer.next(message => message.type === 'snapshot');
+
+    const owner = await provideTool('owned_tool', () => 'owned');
+    const stranger = await connect();
+    stranger.send({ type: 'unregister_tool', data: { name: 'owned_tool' } });
+    assert.equal((await stranger.next(message => message.type === 'error')).error.code, 'RESOURCE_ACCESS_DENIED');
+    stranger.send({ type: 'unregister_tool', data: { name: 'no_such_tool' } });
+    assert.equal((await stranger.next(message => message.type === 'error')).error.code, 'TOOL_NOT_FOUND');
+
+    owner.send({ type: 'unregister_tool', data: { name: 'owned_tool' } });
+    const unregistered = await observer.next(message => message.type === 'tool_unregistered' && message.data.name === 'owned_tool');
+    assert.equal(unregistered.data.reason, 'unregistered');
+    owner.ws.close();
+
+    const leaving = await provideTool('leaving_tool', () => new Promise(() => {}));
+    stranger.send({ type: 'execute_tool', data: { executionId: 'leaving-1', name: 'leaving_tool', args: {} } });
+    await leaving.next(message => message.type === 'execute_tool');
+    leaving.ws.close();
+
+    const failed = await stranger.next(message => message.type === 'tool_execution_failed' && message.data.executionId === 'leaving-1');
+    assert.equal(failed.data.error.code, 'TOOL_EXECUTION_FAILED');
+    const removed = await observer.next(message => message.type === 'tool_unregistered' && message.data.name === 'leaving_tool');
+    assert.equal(removed.data.reason, 'disconnected');
+});
+
+test('settings: merge updates and reject unknown keys and invalid values', async () => {
+    const merged = await request('POST', '/settings', { websocket: { reconnectGrace: 5 }, approval: { tools: ['danger_*'] } });
+    assert.equal(merged.status, 200);
+    assert.deepEqual(merged.body.settings.websocket, { port: WS_PORT, drainTimeout: 100, reconnectGrace: 5 });
+    assert.deepEqual(merged.body.settings.approval.tools, ['danger_*']);
+
+    const unknown = await request('POST', '/settings', { websocket: { colour: 'red' }, execution: { timeout: 1 } });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'INVALID_ARGUMENTS');
+    assert.ok(unknown.body.details.errors.some(error => error.startsWith('/websocket')));
+
+    const invalid = await request('POST', '/settings', { execution: { timeout: 'soon' } });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.details.errors.some(error => error.startsWith('/execution/timeout')));
+
+    // Rejected updates change nothing, null falls back to the default
+    const { body } = await request('GET', '/settings');
+    assert.notEqual(body.execution.timeout, 1);
+    const reset = await request('POST', '/settings', { websocket: { reconnectGrace: null }, approval: { tools: null } });
+    assert.equal(reset.body.settings.websocket.reconnectGrace, 0);
+    assert.deepEqual(reset.body.settings.approval.tools, []);
+});
+
+test('registrations: validate and publish tool metadata', async () => {
+    const provider = await connect();
+    const register = (data) => provider.send({ type: 'register_tool', data: { schema: { type: 'object' }, ...data } });
+
+    register({ name: 'bad_tags', tags: ['notes', 'notes'] });
+    assert.equal((await provider.next(message => message.type === 'error')).error.code, 'INVALID_ARGUMENTS');
+    register({ name: 'bad_hint', annotations: { readOnlyHint: 'yes' } });
+    assert.equal((await provider.next(message => message.type === 'error')).error.code, 'INVALID_ARGUMENTS');
+    register({ name: 'bad_annotation', annotations: { colour: 'red' } });
+    assert.equal((await provider.next(message => message.type === 'error')).error.code, 'INVALID_ARGUMENTS');
+    register({ name: 'bad_icon', icon: '' });
+    assert.equal((await provider.next(message => message.type === 'error')).error.code, 'INVALID_ARGUMENTS');
+
+    const metadata = {
+        title: 'Delete Note',
+        description: 'Delete a note by ID',
+        annotations: { destructiveHint: true, idempotentHint: true },
+        version: '1.2.0',
+        tags: ['notes'],
+        icon: 'data:image/png;base64,AAAA'
+    };
+    register({ name: 'described_tool', ...metadata });
+    try {
+        const { data } = await provider.next(message => message.type === 'tool_registered' && message.data.name === 'described_tool');
+        for (const [key, value] of Object.entries(metadata)) {
+            assert.deepEqual(data[key], value);
+        }
+
+        const rpc = await connect({ protocol: 'mcp' });
+        await rpc.initialize();
+        const { result } = await rpc.rpc('tools/list');
+        const listed = result.tools.find(tool => tool.name === 'described_tool');
+        assert.equal(listed.title, 'Delete Note');
+        assert.deepEqual(listed.annotations, metadata.annotations);
+        assert.ok(!result.tools.some(tool => tool.name.startsWith('bad_')));
+    } finally {
+        provider.ws.close();
+    }
+});
+
+test('executions: enforce outputSchema and structured results', async () => {
+    const results = {
+        ok: { content: [{ type: 'text', text: 'Found 2' }], structuredContent: { matches: 2 } },
+        plain: 'Found 2',
+        wrong: { content: [{ type: 'text', text: 'Found 2' }], structuredContent: { matches: 'two' } },
+        broken: { content: [{ type: 'image', mimeType: 'image/png' }], structuredContent: { matches: 2 } },
+        failed: { content: [{ type: 'text', text: 'Index is offline' }], isError: true }
+    };
+    const provider = await connect();
+    provider.ws.on('message', (raw) => {
+        const message = JSON.parse(raw.toString());
+        if (message.type === 'execute_tool') {
+            const { executionId, args } = message.data;
+            provider.send({ type: 'tool_execution_completed', data: { executionId, result: results[args.mode] } });
+        }
+    });
+
+    provider.send({ type: 'register_tool', data: { name: 'bad_output', schema: { type: 'object' }, outputSchema: { type: 'nope' } } });
+    assert.equal((await provider.next(message => message.type === 'error')).error.code, 'INVALID_SCHEMA');
+    provider.send({
+        type: 'register_tool',
+        data: {
+            name: 'count_matches',
+            schema: { type: 'object', properties: { mode: { type: 'string' } } },
+            outputSchema: { type: 'object', properties: { matches: { type: 'integer' } }, required: ['matches'] }
+        }
+    });
+    await provider.next(message => message.type === 'tool_registered' && message.data.name === 'count_matches');
+
+    try {
+        const client = await connect();
+        const call = async (mode) => {
+            client.send({ type: 'execute_tool', data: { executionId: `count-${mode}`, name: 'count_matches', args: { mode } } });
+            return client.next(message => message.data?.executionId === `count-${mode}`
+                && ['tool_execution_completed', 'tool_execution_failed'].includes(message.type));
+        };
+
+        const ok = await call('ok');
+        assert.equal(ok.type, 'tool_execution_completed');
+        assert.deepEqual(ok.data.result, results.ok);
+
+        for (const mode of ['plain', 'wrong', 'broken']) {
+            const { type, data } = await call(mode);
+            assert.equal(type, 'tool_execution_failed');
+            assert.equal(data.error.code, 'TOOL_EXECUTION_FAILED');
+            if (mode !== 'plain') {
+                assert.ok(data.error.details.errors.length > 0);
+            }
+        }
+
+        const failed = await call('failed');
+        assert.equal(failed.data.error.message, 'Index is offline');
+        assert.deepEqual(failed.data.error.details.result, results.failed);
+
+        const rpc = await connect({ protocol: 'mcp' });
+        await rpc.initialize();
+        const { result } = await rpc.rpc('tools/call', { name: 'count_matches', arguments: { mode: 'ok' } });
+        assert.deepEqual(result.structuredContent, { matches: 2 });
+        const { result: error } = await rpc.rpc('tools/call', { name: 'count_matches', arguments: { mode: 'failed' } });
+        assert.deepEqual(error, results.failed);
+    } finally {
+        provider.ws.close();
+    }
+});
+
+test('settings: store only API changes and reload them over the plugin config', async () => {
+    await createToken('stored-bot');
+    assert.equal((await request('POST', '/settings', { execution: { timeout: 12345 } })).status, 200);
+
+    const { settings: stored } = JSON.parse(await fs.readFile(path.join(dataDir, 'settings.json'), 'utf8'));
+    assert.deepEqual(stored.execution, { timeout: 12345 });
+    assert.equal(stored.websocket, undefined);
+    assert.equal(stored.logging, undefined);
+    assert.ok(stored.auth.tokens.some(token => token.name === 'stored-bot'));
+
+    // A later plugin config still applies to the settings the API did not change
+    await events.onShutdown();
+    await init({ ...PLUGIN_CONFIG, approval: { timeout: 4321 }, execution: { timeout: 999 } });
+
+    const { body } = await request('GET', '/settings');
+    assert.equal(body.execution.timeout, 12345);
+    assert.equal(body.approval.timeout, 4321);
+    assert.ok(body.auth.tokens.some(token => token.name === 'stored-bot'));
+
+    assert.equal((await request('POST', '/settings', { execution: { timeout: null } })).status, 200);
+});
+
+test('port moves: keep registrations and hand them to the reconnected client', async () => {
+    const token = await createToken('mover');
+    const provider = await connect({ token });
+    provider.send({ type: 'register_tool', data: { name: 'moving_tool', schema: { type: 'object' } } });
+    await provider.next(message => message.type === 'tool_registered' && message.data.name === 'moving_tool');
+
+    const newPort = WS_PORT + 1;
+    assert.equal((await request('POST', '/settings', { websocket: { port: newPort } })).status, 200);
+    await provider.next(message => message.type === 'server_moving' && message.data.port === newPort);
+    if (provider.ws.readyState !== WebSocket.CLOSED) {
+        await new Promise(resolve => provider.ws.once('close', resolve));
+    }
+
+    // reconnectGrace is 0, the move keeps the tool anyway
+    const observer = await connect({ port: newPort });
+    observer.send({ type: 'list_tools' });
+    const { data } = await observer.next(message => message.type === 'snapshot');
+    assert.ok(data.tools.some(tool => tool.name === 'moving_tool'));
+
+    // The reconnected provider answers calls without registering again
+    const reconnected = await connect({ token, port: newPort });
+    reconnected.ws.on('message', (raw) => {
+        const message = JSON.parse(raw.toString());
+        if (message.type === 'execute_tool') {
+            reconnected.send({ type: 'tool_execution_completed', data: { executionId: message.data.executionId, result: 'moved' } });
+        }
+    });
+    const client = await connect({ protocol: 'mcp', port: newPort });
+    await client.initialize();
+    const { result } = await client.rpc('tools/call', { name: 'moving_tool', arguments: {} });
+    assert.deepEqual(result.content, [{ type: 'text', text: 'moved' }]);
+});
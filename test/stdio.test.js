@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StdioClient } from '../utils/stdio.js';
+
+/**
+ * Stdio server that prints stray JSON values before each response
+ */
+const SERVER = `
+const readline = require('readline');
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    const message = JSON.parse(line);
+    if (message.id === undefined) return;
+    process.stdout.write('42\\nnull\\n"text"\\n[1]\\nnot json\\n');
+    const result = message.method === 'initialize'
+        ? { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'fake' } }
+        : { content: [{ type: 'text', text: JSON.stringify(message.params.arguments) }] };
+    process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id: message.id, result }) + '\\n');
+});
+`;
+
+test('ignores server output that is not a JSON-RPC object', async () => {
+    const client = new StdioClient('fake', { command: process.execPath, args: ['-e', SERVER] });
+    try {
+        await client.start();
+        assert.deepEqual(client.serverInfo, { name: 'fake' });
+
+        const result = await client.callTool('echo', { value: 1 });
+        assert.deepEqual(result.content, [{ type: 'text', text: '{"value":1}' }]);
+    } finally {
+        await client.stop();
+    }
+});
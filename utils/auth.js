@@ -0,0 +1,116 @@
+/**
+ * Authentication utilities for client connections
+ */
+
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+
+/**
+ * WebSocket close codes sent by the extension
+ */
+export const CloseCodes = {
+    GOING_AWAY: 1001,
+    SERVICE_RESTART: 1012,
+    UNAUTHORIZED: 4401,
+    FORBIDDEN: 4403
+};
+
+/**
+ * Generate a new random token
+ * @returns {string} Token in hex
+ */
+export function generateToken() {
+    return randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a token for storage
+ * @param {string} token Token
+ * @returns {string} SHA-256 hash in hex
+ */
+export function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a token record
+ * @param {string} name Human-readable token name
+ * @returns {object} { record, token } where only the record is stored
+ */
+export function createTokenRecord(name) {
+    const token = generateToken();
+    return {
+        token,
+        record: {
+            id: randomUUID(),
+            name,
+            hash: hashToken(token),
+            createdAt: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {boolean} True if equal
+ */
+export function safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Find the token record matching a token
+ * @param {object[]} records Stored token records
+ * @param {string} token Token presented by the client
+ * @returns {object|null} Matching record or null
+ */
+export function findTokenRecord(records, token) {
+    const hash = hashToken(token);
+    return records.find(record => safeEqual(record.hash, hash)) ?? null;
+}
+
+/**
+ * Strip secrets from a token record
+ * @param {object} record Token record
+ * @returns {object} Record without its hash
+ */
+export function toPublicTokenRecord({ hash, ...record }) {
+    return record;
+}
+
+/**
+ * Extract the token from an HTTP request
+ *
+ * Accepts `Authorization: Bearer <token>` or a `token` query parameter,
+ * since browsers cannot set headers on WebSocket connections.
+ * @param {import('http').IncomingMessage} req Request
+ * @returns {string|null} Token or null
+ */
+export function getRequestToken(req) {
+    const header = req.headers.authorization;
+    if (typeof header === 'string' && header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+
+    const url = new URL(req.url ?? '/', 'http://localhost');
+    return url.searchParams.get('token');
+}
+
+/**
+ * Check a request Origin against the allow-list
+ *
+ * Requests without an Origin header (non-browser clients) are allowed.
+ * An empty allow-list allows every origin.
+ * @param {string|undefined} origin Origin header
+ * @param {string[]} allowedOrigins Allowed origins
+ * @returns {boolean} True if the origin is allowed
+ */
+export function isOriginAllowed(origin, allowedOrigins) {
+    if (!origin || allowedOrigins.length === 0) {
+        return true;
+    }
+    return allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+}
@@ -0,0 +1,206 @@
+/**
+ * Built-in SillyTavern tools and resources for MCP extension
+ *
+ * These are registered by the extension itself rather than by a client. The
+ * chat, characters and World Info live in the SillyTavern page, so the
+ * extension's settings UI carries out the calls and reads.
+ */
+
+/**
+ * Owner of the built-in tools and resources in the registries
+ */
+export const BUILTIN_OWNER = Symbol('builtin');
+
+/**
+ * Milliseconds st_send_message may wait for the character's reply
+ */
+const GENERATION_TIMEOUT = 300000;
+
+/**
+ * Built-in tool definitions
+ */
+export const BUILTIN_TOOLS = [
+    {
+        name: 'st_get_chat',
+        title: 'Get chat',
+        description: 'Read the messages of the chat open in SillyTavern',
+        schema: {
+            type: 'object',
+            properties: {
+                limit: {
+                    type: 'integer',
+                    minimum: 1,
+                    description: 'Number of most recent messages to return (default: all)'
+                }
+            },
+            additionalProperties: false
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+        tags: ['sillytavern']
+    },
+    {
+        name: 'st_list_characters',
+        title: 'List characters',
+        description: 'List the characters in SillyTavern and which one is selected',
+        schema: {
+            type: 'object',
+            properties: {},
+            additionalProperties: false
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+        tags: ['sillytavern']
+    },
+    {
+        name: 'st_send_message',
+        title: 'Send message',
+        description: 'Send a message as the user in the open chat and wait for the character to reply',
+        schema: {
+            type: 'object',
+            required: ['text'],
+            properties: {
+                text: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Message text'
+                },
+                generate: {
+                    type: 'boolean',
+                    description: 'Whether the character replies (default: true)'
+                }
+            },
+            additionalProperties: false
+        },
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+        tags: ['sillytavern'],
+        timeout: GENERATION_TIMEOUT,
+        requiresApproval: true
+    },
+    {
+        name: 'st_select_character',
+        title: 'Select character',
+        description: 'Switch SillyTavern to a character, opening its most recent chat',
+        schema: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Character name or avatar file name'
+                }
+            },
+            additionalProperties: false
+        },
+        annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+        tags: ['sillytavern']
+    },
+    {
+        name: 'st_get_world_info',
+        title: 'Get World Info',
+        description: 'Read the entries of a World Info lorebook',
+        schema: {
+            type: 'object',
+            required: ['book'],
+            properties: {
+                book: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Lorebook name'
+                }
+            },
+            additionalProperties: false
+        },
+        annotations: { readOnlyHint: true, openWorldHint: false },
+        tags: ['sillytavern']
+    },
+    {
+        name: 'st_set_world_info_entry',
+        title: 'Write World Info entry',
+        description: 'Create a World Info entry, or change the given fields of an existing one',
+        schema: {
+            type: 'object',
+            required: ['book'],
+            properties: {
+                book: {
+                    type: 'string',
+                    minLength: 1,
+                    description: 'Lorebook name'
+                },
+                uid: {
+                    type: 'integer',
+                    minimum: 0,
+                    description: 'Entry to change, omit to create a new entry'
+                },
+                keys: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Primary trigger keywords'
+                },
+                secondaryKeys: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Secondary trigger keywords'
+                },
+                comment: {
+                    type: 'string',
+                    description: 'Entry title'
+                },
+                content: {
+                    type: 'string',
+                    description: 'Text inserted into the prompt'
+                },
+                constant: {
+                    type: 'boolean',
+                    description: 'Whether the entry is always inserted'
+                },
+                disabled: {
+                    type: 'boolean',
+                    description: 'Whether the entry is turned off'
+                }
+            },
+            additionalProperties: false
+        },
+        annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+        tags: ['sillytavern'],
+        requiresApproval: true
+    }
+];
+
+/**
+ * Built-in resource and resource template definitions
+ */
+export const BUILTIN_RESOURCES = [
+    {
+        uri: 'sillytavern://chat/current',
+        name: 'current_chat',
+        title: 'Current chat',
+        description: 'Messages of the chat open in SillyTavern',
+        mimeType: 'application/json'
+    },
+    {
+        uri: 'sillytavern://characters',
+        name: 'characters',
+        title: 'Characters',
+        description: 'Characters in SillyTavern and which one is selected',
+        mimeType: 'application/json'
+    },
+    {
+        uriTemplate: 'sillytavern://worldinfo/{book}',
+        name: 'world_info',
+        title: 'World Info',
+        description: 'Entries of a World Info lorebook',
+        mimeType: 'application/json'
+    }
+];
+
+/**
+ * Built-in tool whose permission rules decide who may read each built-in resource
+ *
+ * A client that may not call st_get_chat must not get the chat through its
+ * resource either.
+ */
+export const BUILTIN_RESOURCE_TOOLS = {
+    'sillytavern://chat/current': 'st_get_chat',
+    'sillytavern://characters': 'st_list_characters',
+    'sillytavern://worldinfo/{book}': 'st_get_world_info'
+};
@@ -16,13 +16,31 @@ export const ErrorCodes = {
     // Registration errors
     TOOL_EXISTS: 'TOOL_EXISTS',
     RESOURCE_EXISTS: 'RESOURCE_EXISTS',
+    PROMPT_EXISTS: 'PROMPT_EXISTS',
 
     // Execution errors
     TOOL_NOT_FOUND: 'TOOL_NOT_FOUND',
     RESOURCE_NOT_FOUND: 'RESOURCE_NOT_FOUND',
+    PROMPT_NOT_FOUND: 'PROMPT_NOT_FOUND',
     TOOL_EXECUTION_FAILED: 'TOOL_EXECUTION_FAILED',
     RESOURCE_ACCESS_DENIED: 'RESOURCE_ACCESS_DENIED',
 
+    // Execution control errors
+    EXECUTION_TIMEOUT: 'EXECUTION_TIMEOUT',
+    EXECUTION_CANCELLED: 'EXECUTION_CANCELLED',
+
+    // Approval errors
+    EXECUTION_DENIED: 'EXECUTION_DENIED',
+    APPROVAL_TIMEOUT: 'APPROVAL_TIMEOUT',
+
+    // Authentication errors
+    UNAUTHORIZED: 'UNAUTHORIZED',
+
+    // Protocol errors
+    PARSE_ERROR: 'PARSE_ERROR',
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    METHOD_NOT_FOUND: 'METHOD_NOT_FOUND',
+
     // Server errors
     SERVER_ERROR: 'SERVER_ERROR'
 };
@@ -0,0 +1,239 @@
+/**
+ * Persistent execution history for MCP extension
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { matchesAny } from './permissions.js';
+import { writeFileAtomic } from './storage.js';
+import { logger } from './logger.js';
+
+/**
+ * Milliseconds in a day
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of stale lines after which the history file is rewritten
+ */
+const COMPACT_THRESHOLD = 100;
+
+/**
+ * Execution history kept in memory and appended to a JSON Lines file
+ *
+ * Records are stored in the order executions finish. Pruned and purged
+ * records stay in the file until it is compacted.
+ */
+export class ExecutionHistory {
+    /**
+     * Create a new execution history
+     * @param {string} file Path of the history file
+     * @param {object} [retention] Retention policy
+     * @param {number} [retention.maxEntries] Maximum number of records to keep
+     * @param {number} [retention.maxAgeDays] Maximum record age in days, 0 to keep records forever
+     */
+    constructor(file, retention = {}) {
+        this.file = file;
+        this.records = [];
+        this.unsaved = [];
+        this.lines = 0;
+        this.rewriteNeeded = false;
+        this.writes = Promise.resolve();
+        this.configure(retention);
+    }
+
+    /**
+     * Update the retention policy and prune records that fall outside it
+     * @param {object} retention Retention policy
+     * @param {number} [retention.maxEntries] Maximum number of records to keep
+     * @param {number} [retention.maxAgeDays] Maximum record age in days, 0 to keep records forever
+     */
+    configure({ maxEntries = 1000, maxAgeDays = 30 }) {
+        this.maxEntries = maxEntries;
+        this.maxAgeDays = maxAgeDays;
+        if (this.prune() > 0) {
+            this.schedule();
+        }
+    }
+
+    /**
+     * Load records from the history file
+     * @returns {Promise<void>}
+     */
+    async load() {
+        let text = '';
+        try {
+            text = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const lines = text.split('\n').filter(line => line.trim());
+        this.records = [];
+        for (const line of lines) {
+            try {
+                this.records.push(JSON.parse(line));
+            } catch (error) {
+                logger.warn('Skipping invalid execution history line');
+            }
+        }
+
+        this.lines = lines.length;
+        this.prune();
+        this.schedule();
+        logger.info(`Loaded ${this.records.length} execution history records`);
+    }
+
+    /**
+     * Record a finished execution
+     * @param {object} execution Execution details
+     * @returns {object} Stored record
+     */
+    add(execution) {
+        const record = { id: randomUUID(), ...execution };
+        this.records.push(record);
+        this.unsaved.push(record);
+        this.prune();
+        this.schedule();
+        return record;
+    }
+
+    /**
+     * Get a record by ID
+     * @param {string} id Record ID
+     * @returns {object|null} Record or null if not found
+     */
+    get(id) {
+        return this.records.find(record => record.id === id) ?? null;
+    }
+
+    /**
+     * Find records matching a filter, newest first
+     * @param {object} [filter] Record filter
+     * @param {string} [filter.tool] Tool name pattern, * matches any run of characters
+     * @param {string} [filter.status] Execution status
+     * @param {string} [filter.client] Client name
+     * @param {number} [filter.since] Earliest start time in milliseconds
+     * @param {number} [filter.until] Latest start time in milliseconds
+     * @param {object} [page] Page to return
+     * @param {number} [page.limit] Maximum number of records
+     * @param {number} [page.offset] Number of records to skip
+     * @returns {object} { total, records }
+     */
+    query(filter = {}, { limit = 50, offset = 0 } = {}) {
+        const matching = this.records.filter(record => matchesFilter(record, filter)).reverse();
+        return {
+            total: matching.length,
+            records: matching.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Delete records matching a filter
+     * @param {object} [filter] Record filter, see query()
+     * @returns {number} Number of deleted records
+     */
+    purge(filter = {}) {
+        const count = this.records.length;
+        this.records = this.records.filter(record => !matchesFilter(record, filter));
+        this.unsaved = this.unsaved.filter(record => !matchesFilter(record, filter));
+
+        const deleted = count - this.records.length;
+        if (deleted > 0) {
+            this.rewriteNeeded = true;
+            this.schedule();
+        }
+        return deleted;
+    }
+
+    /**
+     * Wait for pending writes to finish, including writes queued meanwhile
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        let writes;
+        do {
+            writes = this.writes;
+            await writes;
+        } while (writes !== this.writes);
+    }
+
+    /**
+     * Drop records that fall outside the retention policy
+     * @returns {number} Number of dropped records
+     */
+    prune() {
+        const count = this.records.length;
+
+        if (this.maxAgeDays > 0) {
+            const cutoff = Date.now() - this.maxAgeDays * DAY;
+            this.records = this.records.filter(record => Date.parse(record.finishedAt) >= cutoff);
+        }
+        if (this.records.length > this.maxEntries) {
+            this.records = this.records.slice(-this.maxEntries);
+        }
+
+        return count - this.records.length;
+    }
+
+    /**
+     * Queue a write of unsaved changes
+     */
+    schedule() {
+        this.writes = this.writes
+            .then(() => this.write())
+            .catch((error) => logger.error('Failed to write execution history', error));
+    }
+
+    /**
+     * Append unsaved records, or rewrite the file once it holds too many stale lines
+     * @returns {Promise<void>}
+     */
+    async write() {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+        const stale = this.lines + this.unsaved.length - this.records.length;
+        if (this.rewriteNeeded || stale >= COMPACT_THRESHOLD) {
+            // Changes made while the file is written are left to the next write
+            const records = this.records.slice();
+            this.unsaved = [];
+            this.rewriteNeeded = false;
+            await writeFileAtomic(this.file, records.map(record => JSON.stringify(record) + '\n').join(''));
+            this.lines = records.length;
+            return;
+        }
+
+        if (this.unsaved.length === 0) return;
+
+        const batch = this.unsaved;
+        this.unsaved = [];
+        await fs.appendFile(this.file, batch.map(record => JSON.stringify(record) + '\n').join(''));
+        this.lines += batch.length;
+    }
+}
+
+/**
+ * Check if a record matches a filter
+ * @param {object} record History record
+ * @param {object} filter Record filter
+ * @returns {boolean} True if the record matches every given condition
+ */
+function matchesFilter(record, { tool, status, client, since, until }) {
+    const startedAt = Date.parse(record.startedAt);
+    return (tool === undefined || matchesAny(record.tool, [tool]))
+        && (status === undefined || record.status === status)
+        && (client === undefined || record.client === client)
+        && (since === undefined || startedAt >= since)
+        && (until === undefined || startedAt <= until);
+}
+
+/**
+ * Create a new execution history
+ * @param {string} file Path of the history file
+ * @param {object} [retention] Retention policy
+ * @returns {ExecutionHistory} Execution history instance
+ */
+export function createExecutionHistory(file, retention) {
+    return new ExecutionHistory(file, retention);
+}
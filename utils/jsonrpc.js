@@ -0,0 +1,192 @@
+/**
+ * JSON-RPC 2.0 utilities for the Model Context Protocol
+ */
+
+import { MCPError, ErrorCodes } from './errors.js';
+
+/**
+ * JSON-RPC protocol version
+ */
+export const JSONRPC_VERSION = '2.0';
+
+/**
+ * MCP protocol versions supported by the extension (newest first)
+ */
+export const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+/**
+ * JSON-RPC error codes
+ */
+export const JsonRpcErrorCodes = {
+    // Specification errors
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+
+    // Server-defined errors
+    ACCESS_DENIED: -32001,
+    RESOURCE_NOT_FOUND: -32002
+};
+
+/**
+ * Mapping from extension error codes to JSON-RPC error codes
+ */
+const ERROR_CODE_MAP = {
+    [ErrorCodes.PARSE_ERROR]: JsonRpcErrorCodes.PARSE_ERROR,
+    [ErrorCodes.INVALID_REQUEST]: JsonRpcErrorCodes.INVALID_REQUEST,
+    [ErrorCodes.METHOD_NOT_FOUND]: JsonRpcErrorCodes.METHOD_NOT_FOUND,
+    [ErrorCodes.INVALID_NAME]: JsonRpcErrorCodes.INVALID_PARAMS,
+    [ErrorCodes.INVALID_SCHEMA]: JsonRpcErrorCodes.INVALID_PARAMS,
+    [ErrorCodes.INVALID_URI]: JsonRpcErrorCodes.INVALID_PARAMS,
+    [ErrorCodes.INVALID_HANDLER]: JsonRpcErrorCodes.INVALID_PARAMS,
+    [ErrorCodes.INVALID_ARGUMENTS]: JsonRpcErrorCodes.INVALID_PARAMS,
+    [ErrorCodes.TOOL_EXISTS]: JsonRpcErrorCodes.INVALID_PARAMS,
+    [ErrorCodes.RESOURCE_EXISTS]: JsonRpcErrorCodes.INVALID_PARAMS,
+    [ErrorCodes.PROMPT_EXISTS]: JsonRpcErrorCodes.INVALID_PARAMS,
+    [ErrorCodes.TOOL_NOT_FOUND]: JsonRpcErrorCodes.INVALID_PARAMS,
+    [ErrorCodes.PROMPT_NOT_FOUND]: JsonRpcErrorCodes.INVALID_PARAMS,
+    [ErrorCodes.RESOURCE_NOT_FOUND]: JsonRpcErrorCodes.RESOURCE_NOT_FOUND,
+    [ErrorCodes.RESOURCE_ACCESS_DENIED]: JsonRpcErrorCodes.ACCESS_DENIED,
+    [ErrorCodes.UNAUTHORIZED]: JsonRpcErrorCodes.ACCESS_DENIED,
+    [ErrorCodes.TOOL_EXECUTION_FAILED]: JsonRpcErrorCodes.INTERNAL_ERROR,
+    [ErrorCodes.EXECUTION_TIMEOUT]: JsonRpcErrorCodes.INTERNAL_ERROR,
+    [ErrorCodes.EXECUTION_CANCELLED]: JsonRpcErrorCodes.INTERNAL_ERROR,
+    [ErrorCodes.EXECUTION_DENIED]: JsonRpcErrorCodes.ACCESS_DENIED,
+    [ErrorCodes.APPROVAL_TIMEOUT]: JsonRpcErrorCodes.ACCESS_DENIED,
+    [ErrorCodes.SERVER_ERROR]: JsonRpcErrorCodes.INTERNAL_ERROR
+};
+
+/**
+ * Mapping from JSON-RPC error codes to extension error codes
+ */
+const JSONRPC_ERROR_CODE_MAP = {
+    [JsonRpcErrorCodes.PARSE_ERROR]: ErrorCodes.PARSE_ERROR,
+    [JsonRpcErrorCodes.INVALID_REQUEST]: ErrorCodes.INVALID_REQUEST,
+    [JsonRpcErrorCodes.METHOD_NOT_FOUND]: ErrorCodes.METHOD_NOT_FOUND,
+    [JsonRpcErrorCodes.INVALID_PARAMS]: ErrorCodes.INVALID_ARGUMENTS,
+    [JsonRpcErrorCodes.INTERNAL_ERROR]: ErrorCodes.SERVER_ERROR,
+    [JsonRpcErrorCodes.ACCESS_DENIED]: ErrorCodes.RESOURCE_ACCESS_DENIED,
+    [JsonRpcErrorCodes.RESOURCE_NOT_FOUND]: ErrorCodes.RESOURCE_NOT_FOUND
+};
+
+/**
+ * Check if a value is a valid JSON-RPC request ID
+ * @param {any} id Value to check
+ * @returns {boolean} True if value is a string or integer ID
+ */
+export function isValidId(id) {
+    return typeof id === 'string' || Number.isInteger(id);
+}
+
+/**
+ * Check if a message uses the JSON-RPC envelope
+ * @param {any} message Parsed message
+ * @returns {boolean} True if message is a JSON-RPC message or batch
+ */
+export function isJsonRpcMessage(message) {
+    if (Array.isArray(message)) {
+        return message.length > 0 && message.every(item => item?.jsonrpc === JSONRPC_VERSION);
+    }
+    return message?.jsonrpc === JSONRPC_VERSION;
+}
+
+/**
+ * Check if a message is a JSON-RPC response
+ * @param {any} message Parsed message
+ * @returns {boolean} True if message is a response
+ */
+export function isResponse(message) {
+    return typeof message === 'object' && message !== null
+        && message.method === undefined && ('result' in message || 'error' in message);
+}
+
+/**
+ * Create a JSON-RPC request
+ * @param {string|number} id Request ID
+ * @param {string} method Method name
+ * @param {object} [params] Method parameters
+ * @returns {object} JSON-RPC request
+ */
+export function createRequest(id, method, params) {
+    return params === undefined
+        ? { jsonrpc: JSONRPC_VERSION, id, method }
+        : { jsonrpc: JSONRPC_VERSION, id, method, params };
+}
+
+/**
+ * Create a JSON-RPC notification
+ * @param {string} method Method name
+ * @param {object} [params] Method parameters
+ * @returns {object} JSON-RPC notification
+ */
+export function createNotification(method, params) {
+    return params === undefined
+        ? { jsonrpc: JSONRPC_VERSION, method }
+        : { jsonrpc: JSONRPC_VERSION, method, params };
+}
+
+/**
+ * Create a JSON-RPC success response
+ * @param {string|number} id Request ID
+ * @param {object} result Method result
+ * @returns {object} JSON-RPC response
+ */
+export function createResponse(id, result) {
+    return { jsonrpc: JSONRPC_VERSION, id, result };
+}
+
+/**
+ * Create a JSON-RPC error response
+ * @param {string|number|null} id Request ID
+ * @param {Error} error Error to report
+ * @returns {object} JSON-RPC response
+ */
+export function createErrorResponse(id, error) {
+    return { jsonrpc: JSONRPC_VERSION, id, error: toJsonRpcError(error) };
+}
+
+/**
+ * Convert an error to a JSON-RPC error object
+ * @param {Error} error Error to convert
+ * @returns {object} JSON-RPC error { code, message, data }
+ */
+export function toJsonRpcError(error) {
+    if (error instanceof MCPError) {
+        return {
+            code: ERROR_CODE_MAP[error.code] ?? JsonRpcErrorCodes.INTERNAL_ERROR,
+            message: error.message,
+            data: {
+                code: error.code,
+                details: error.details
+            }
+        };
+    }
+
+    return {
+        code: JsonRpcErrorCodes.INTERNAL_ERROR,
+        message: 'Internal error',
+        data: {
+            code: ErrorCodes.SERVER_ERROR
+        }
+    };
+}
+
+/**
+ * Convert a JSON-RPC error object to an MCPError
+ * @param {object} error JSON-RPC error { code, message, data }
+ * @returns {MCPError} Equivalent MCP error
+ */
+export function fromJsonRpcError(error) {
+    // Prefer the original code when the peer is another MCP extension
+    if (Object.values(ErrorCodes).includes(error?.data?.code)) {
+        return new MCPError(error.data.code, error.message, error.data.details ?? {});
+    }
+
+    return new MCPError(
+        JSONRPC_ERROR_CODE_MAP[error?.code] ?? ErrorCodes.SERVER_ERROR,
+        error?.message || 'Unknown JSON-RPC error',
+        error?.data === undefined ? {} : { data: error.data }
+    );
+}
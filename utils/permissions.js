@@ -0,0 +1,95 @@
+/**
+ * Permission checks for tool registration and execution
+ */
+
+import { MCPError, ErrorCodes } from './errors.js';
+
+/**
+ * Permission actions
+ */
+export const Actions = {
+    REGISTER: 'register',
+    EXECUTE: 'execute'
+};
+
+/**
+ * Compiled glob cache
+ */
+const globCache = new Map();
+
+/**
+ * Convert a glob pattern to a regular expression
+ * @param {string} pattern Pattern where * matches any run of characters and ? one character
+ * @returns {RegExp} Anchored regular expression
+ */
+function compileGlob(pattern) {
+    if (!globCache.has(pattern)) {
+        const source = pattern
+            .split('')
+            .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+            .join('');
+        globCache.set(pattern, new RegExp(`^${source}$`));
+    }
+    return globCache.get(pattern);
+}
+
+/**
+ * Check if a name matches any of a list of glob patterns
+ * @param {string} name Name to check
+ * @param {string[]} patterns Glob patterns
+ * @returns {boolean} True if any pattern matches
+ */
+export function matchesAny(name, patterns) {
+    return patterns.some(pattern => compileGlob(pattern).test(name));
+}
+
+/**
+ * Resolve the rule that applies to a client
+ * @param {object} permissions Permission settings { default, clients }
+ * @param {object} identity Client identity { tokenId, name }
+ * @returns {object} Rule { register: string[], execute: string[] }
+ */
+export function getClientRule(permissions, identity) {
+    const defaults = permissions?.default ?? {};
+    const rule = identity.tokenId ? permissions?.clients?.[identity.name] ?? {} : {};
+
+    return {
+        register: rule.register ?? defaults.register ?? ['*'],
+        execute: rule.execute ?? defaults.execute ?? ['*']
+    };
+}
+
+/**
+ * Check if a client may perform an action on a tool, resource or prompt
+ * @param {object} permissions Permission settings
+ * @param {object} identity Client identity
+ * @param {string} action Action from Actions
+ * @param {string} name Tool name, resource URI or prompt name
+ * @returns {boolean} True if allowed
+ */
+export function isAllowed(permissions, identity, action, name) {
+    // The settings UI is the administrator and is never restricted
+    if (identity.tokenId === 'ui') {
+        return true;
+    }
+    return matchesAny(name, getClientRule(permissions, identity)[action]);
+}
+
+/**
+ * Assert that a client may perform an action on a tool, resource or prompt
+ * @param {object} permissions Permission settings
+ * @param {object} identity Client identity
+ * @param {string} action Action from Actions
+ * @param {string} name Tool name, resource URI or prompt name
+ * @param {string} [kind=tool] What the name refers to, for the error message
+ * @throws {MCPError} RESOURCE_ACCESS_DENIED if not allowed
+ */
+export function assertAllowed(permissions, identity, action, name, kind = 'tool') {
+    if (!isAllowed(permissions, identity, action, name)) {
+        throw new MCPError(
+            ErrorCodes.RESOURCE_ACCESS_DENIED,
+            `Client ${identity.name} may not ${action} ${kind}: ${name}`,
+            { action, name }
+        );
+    }
+}
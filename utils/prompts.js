@@ -0,0 +1,259 @@
+/**
+ * Prompt registry for MCP extension
+ */
+
+import { MCPError, ErrorCodes } from './errors.js';
+
+/**
+ * Placeholder for an argument in a prompt message, such as {{topic}}
+ */
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Find the argument names used in a prompt's messages
+ * @param {object[]} messages Prompt messages
+ * @returns {string[]} Names of the placeholders in text content
+ */
+export function findPlaceholders(messages) {
+    const names = new Set();
+    for (const { content } of messages) {
+        const text = typeof content === 'string' ? content : content.type === 'text' ? content.text : '';
+        for (const match of text.matchAll(PLACEHOLDER)) {
+            names.add(match[1]);
+        }
+    }
+    return Array.from(names);
+}
+
+/**
+ * Convert an argument value to the declared type
+ * @param {object} argument Argument definition
+ * @param {any} value Given value, a string when it comes from MCP
+ * @returns {string|number|boolean} Converted value
+ * @throws {MCPError} If the value does not fit the type or allowed values
+ */
+function convertArgument({ name, type = 'string', enum: allowed }, value) {
+    let converted = value;
+
+    if (type === 'number' || type === 'integer') {
+        converted = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof converted !== 'number' || !Number.isFinite(converted)
+            || (type === 'integer' && !Number.isInteger(converted))) {
+            throw new MCPError(
+                ErrorCodes.INVALID_ARGUMENTS,
+                `Prompt argument ${name} must be ${type === 'integer' ? 'an integer' : 'a number'}`
+            );
+        }
+    } else if (type === 'boolean') {
+        converted = value === 'true' ? true : value === 'false' ? false : value;
+        if (typeof converted !== 'boolean') {
+            throw new MCPError(
+                ErrorCodes.INVALID_ARGUMENTS,
+                `Prompt argument ${name} must be true or false`
+            );
+        }
+    } else if (typeof value !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Prompt argument ${name} must be a string`
+        );
+    }
+
+    if (allowed && !allowed.includes(String(converted))) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Prompt argument ${name} must be one of: ${allowed.join(', ')}`
+        );
+    }
+    return converted;
+}
+
+/**
+ * Registry of prompt templates and the connections that own them
+ */
+export class PromptRegistry {
+    /**
+     * Create a new prompt registry
+     */
+    constructor() {
+        this.prompts = new Map();
+    }
+
+    /**
+     * Register a prompt
+     * @param {object} prompt Prompt definition
+     * @param {string} prompt.name Prompt name
+     * @param {string} [prompt.title] Human-readable name
+     * @param {string} [prompt.description] What the prompt is for
+     * @param {object[]} [prompt.arguments] Arguments { name, title, description, required, type, enum }
+     * @param {object[]} prompt.messages Messages { role, content } with {{name}} placeholders
+     * @param {any} owner Connection that registered the prompt
+     * @returns {object} Registered prompt entry
+     * @throws {MCPError} If a prompt with the same name is already registered
+     */
+    register({ name, title, description, arguments: args = [], messages }, owner) {
+        if (this.prompts.has(name)) {
+            throw new MCPError(
+                ErrorCodes.PROMPT_EXISTS,
+                `Prompt already registered: ${name}`
+            );
+        }
+
+        const entry = {
+            name,
+            title,
+            description,
+            arguments: args,
+            messages,
+            owner,
+            registeredAt: Date.now()
+        };
+        this.prompts.set(name, entry);
+        return entry;
+    }
+
+    /**
+     * Check if a prompt is registered
+     * @param {string} name Prompt name
+     * @returns {boolean} True if prompt is registered
+     */
+    has(name) {
+        return this.prompts.has(name);
+    }
+
+    /**
+     * Get a registered prompt
+     * @param {string} name Prompt name
+     * @returns {object} Registered prompt entry
+     * @throws {MCPError} If prompt is not registered
+     */
+    get(name) {
+        const entry = this.prompts.get(name);
+        if (!entry) {
+            throw new MCPError(
+                ErrorCodes.PROMPT_NOT_FOUND,
+                `Prompt not found: ${name}`
+            );
+        }
+        return entry;
+    }
+
+    /**
+     * Unregister a prompt
+     * @param {string} name Prompt name
+     * @returns {object} Removed prompt entry
+     * @throws {MCPError} If prompt is not registered
+     */
+    unregister(name) {
+        const entry = this.get(name);
+        this.prompts.delete(name);
+        return entry;
+    }
+
+    /**
+     * Unregister all prompts owned by a connection
+     * @param {any} owner Connection that owns the prompts
+     * @returns {string[]} Names of the removed prompts
+     */
+    unregisterOwner(owner) {
+        const removed = [];
+        for (const [name, entry] of this.prompts) {
+            if (entry.owner === owner) {
+                this.prompts.delete(name);
+                removed.push(name);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Hand all prompts of a connection over to another connection
+     * @param {any} from Connection that owns the prompts
+     * @param {any} to Connection that takes them over
+     * @returns {string[]} Names of the moved prompts
+     */
+    transferOwner(from, to) {
+        const moved = [];
+        for (const [name, entry] of this.prompts) {
+            if (entry.owner === from) {
+                entry.owner = to;
+                moved.push(name);
+            }
+        }
+        return moved;
+    }
+
+    /**
+     * List registered prompts
+     * @returns {object[]} Prompt definitions without messages or owner information
+     */
+    list() {
+        return Array.from(this.prompts.values()).map(toPromptDefinition);
+    }
+
+    /**
+     * Fill in a prompt's messages
+     *
+     * Placeholders of optional arguments that were not given become empty.
+     * @param {string} name Prompt name
+     * @param {object} [values] Argument values by name
+     * @returns {object} { description, messages } with text content blocks
+     * @throws {MCPError} If the prompt is unknown or the arguments are invalid
+     */
+    render(name, values = {}) {
+        const entry = this.get(name);
+        const declared = new Map(entry.arguments.map(argument => [argument.name, argument]));
+
+        const unknown = Object.keys(values).filter(key => !declared.has(key));
+        if (unknown.length > 0) {
+            throw new MCPError(
+                ErrorCodes.INVALID_ARGUMENTS,
+                `Unknown prompt argument: ${unknown[0]}`,
+                { arguments: unknown }
+            );
+        }
+
+        const converted = {};
+        for (const argument of entry.arguments) {
+            const value = values[argument.name];
+            if (value === undefined || value === null) {
+                if (argument.required) {
+                    throw new MCPError(
+                        ErrorCodes.INVALID_ARGUMENTS,
+                        `Missing required prompt argument: ${argument.name}`
+                    );
+                }
+                continue;
+            }
+            converted[argument.name] = convertArgument(argument, value);
+        }
+
+        const fill = (text) => text.replace(PLACEHOLDER, (match, key) => String(converted[key] ?? ''));
+        return {
+            description: entry.description,
+            messages: entry.messages.map(({ role, content }) => ({
+                role,
+                content: typeof content === 'string'
+                    ? { type: 'text', text: fill(content) }
+                    : content.type === 'text' ? { ...content, text: fill(content.text) } : content
+            }))
+        };
+    }
+}
+
+/**
+ * Get the public definition of a prompt entry
+ * @param {object} entry Registered prompt entry
+ * @returns {object} Prompt definition without messages or owner information
+ */
+export function toPromptDefinition({ name, title, description, arguments: args }) {
+    return { name, title, description, arguments: args };
+}
+
+/**
+ * Create a new prompt registry
+ * @returns {PromptRegistry} Prompt registry instance
+ */
+export function createPromptRegistry() {
+    return new PromptRegistry();
+}
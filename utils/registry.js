@@ -0,0 +1,167 @@
+/**
+ * Tool registry for MCP extension
+ */
+
+import { MCPError, ErrorCodes } from './errors.js';
+import { BUILTIN_OWNER } from './builtins.js';
+
+/**
+ * Registry of tools and the connections that own them
+ */
+export class ToolRegistry {
+    /**
+     * Create a new tool registry
+     */
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * Register a tool
+     * @param {object} tool Tool definition
+     * @param {string} tool.name Tool name
+     * @param {object} tool.schema Tool JSON schema
+     * @param {boolean} [tool.requiresApproval] Whether executions need human approval
+     * @param {number} [tool.timeout] Execution timeout in milliseconds
+     * @param {string} [tool.title] Human-readable name
+     * @param {string} [tool.description] What the tool does
+     * @param {object} [tool.outputSchema] JSON schema of structured results
+     * @param {object} [tool.annotations] Behaviour hints such as readOnlyHint
+     * @param {string} [tool.version] Tool version
+     * @param {string[]} [tool.tags] Tags for grouping tools
+     * @param {string} [tool.icon] Icon URL
+     * @param {any} owner Connection that executes the tool
+     * @returns {object} Registered tool entry
+     * @throws {MCPError} If a tool with the same name is already registered
+     */
+    register({
+        name, schema, requiresApproval = false, timeout,
+        title, description, outputSchema, annotations, version, tags, icon
+    }, owner) {
+        if (this.tools.has(name)) {
+            throw new MCPError(
+                ErrorCodes.TOOL_EXISTS,
+                `Tool already registered: ${name}`
+            );
+        }
+
+        const entry = {
+            name,
+            schema,
+            requiresApproval,
+            timeout,
+            title,
+            description,
+            outputSchema,
+            annotations,
+            version,
+            tags,
+            icon,
+            owner,
+            registeredAt: Date.now()
+        };
+        this.tools.set(name, entry);
+        return entry;
+    }
+
+    /**
+     * Check if a tool is registered
+     * @param {string} name Tool name
+     * @returns {boolean} True if tool is registered
+     */
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    /**
+     * Get a registered tool
+     * @param {string} name Tool name
+     * @returns {object} Registered tool entry
+     * @throws {MCPError} If tool is not registered
+     */
+    get(name) {
+        const entry = this.tools.get(name);
+        if (!entry) {
+            throw new MCPError(
+                ErrorCodes.TOOL_NOT_FOUND,
+                `Tool not found: ${name}`
+            );
+        }
+        return entry;
+    }
+
+    /**
+     * Unregister a tool
+     * @param {string} name Tool name
+     * @returns {object} Removed tool entry
+     * @throws {MCPError} If tool is not registered
+     */
+    unregister(name) {
+        const entry = this.get(name);
+        this.tools.delete(name);
+        return entry;
+    }
+
+    /**
+     * Unregister all tools owned by a connection
+     * @param {any} owner Connection that owns the tools
+     * @returns {string[]} Names of the removed tools
+     */
+    unregisterOwner(owner) {
+        const removed = [];
+        for (const [name, entry] of this.tools) {
+            if (entry.owner === owner) {
+                this.tools.delete(name);
+                removed.push(name);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Hand all tools of a connection over to another connection
+     * @param {any} from Connection that owns the tools
+     * @param {any} to Connection that takes them over
+     * @returns {string[]} Names of the moved tools
+     */
+    transferOwner(from, to) {
+        const moved = [];
+        for (const [name, entry] of this.tools) {
+            if (entry.owner === from) {
+                entry.owner = to;
+                moved.push(name);
+            }
+        }
+        return moved;
+    }
+
+    /**
+     * List registered tools
+     * @returns {object[]} Tool definitions without owner information
+     */
+    list() {
+        return Array.from(this.tools.values()).map(toDefinition);
+    }
+}
+
+/**
+ * Get the public definition of a tool entry
+ * @param {object} entry Registered tool entry
+ * @returns {object} Tool definition without owner information, built-in tools are marked with builtin
+ */
+export function toDefinition({
+    name, title, description, schema, outputSchema, annotations, version, tags, icon, requiresApproval, owner
+}) {
+    return {
+        name, title, description, schema, outputSchema, annotations, version, tags, icon, requiresApproval,
+        ...(owner === BUILTIN_OWNER ? { builtin: true } : {})
+    };
+}
+
+/**
+ * Create a new tool registry
+ * @returns {ToolRegistry} Tool registry instance
+ */
+export function createToolRegistry() {
+    return new ToolRegistry();
+}
@@ -0,0 +1,258 @@
+/**
+ * Resource registry for MCP extension
+ */
+
+import { MCPError, ErrorCodes } from './errors.js';
+
+/**
+ * Expressions supported in URI templates: {name} and reserved {+name}
+ */
+const EXPRESSION = /\{(\+?)([A-Za-z0-9_]+)\}/g;
+
+/**
+ * Compile a URI template to a matcher
+ *
+ * A {name} expression matches one path segment and is percent-decoded.
+ * A {+name} expression may span segments and keeps reserved characters.
+ * @param {string} template URI template
+ * @returns {object} { pattern, variables }
+ */
+function compileTemplate(template) {
+    const variables = [];
+    let source = '';
+    let last = 0;
+
+    for (const match of template.matchAll(EXPRESSION)) {
+        source += escapeRegExp(template.slice(last, match.index));
+        source += match[1] === '+' ? '(.+)' : '([^/?#]+)';
+        variables.push({ name: match[2], reserved: match[1] === '+' });
+        last = match.index + match[0].length;
+    }
+    source += escapeRegExp(template.slice(last));
+
+    return { pattern: new RegExp(`^${source}$`), variables };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Match a URI against a compiled template
+ * @param {object} entry Template entry with pattern and variables
+ * @param {string} uri URI to match
+ * @returns {object|null} Template variables, or null if the URI does not match
+ */
+function matchTemplate({ pattern, variables }, uri) {
+    const match = pattern.exec(uri);
+    if (!match) return null;
+
+    try {
+        return Object.fromEntries(variables.map(({ name, reserved }, i) => [
+            name,
+            reserved ? decodeURI(match[i + 1]) : decodeURIComponent(match[i + 1])
+        ]));
+    } catch (error) {
+        // Malformed percent-encoding
+        return null;
+    }
+}
+
+/**
+ * Registry of resources, resource templates and the connections that own them
+ *
+ * Static resources are keyed by their URI and templates by their URI
+ * template, so a template is unregistered by its template string.
+ */
+export class ResourceRegistry {
+    /**
+     * Create a new resource registry
+     */
+    constructor() {
+        this.resources = new Map();
+    }
+
+    /**
+     * Register a resource or resource template
+     * @param {object} resource Resource definition
+     * @param {string} [resource.uri] URI of a static resource
+     * @param {string} [resource.uriTemplate] URI template of a resource template
+     * @param {string} resource.name Resource name
+     * @param {string} [resource.title] Human-readable name
+     * @param {string} [resource.description] What the resource contains
+     * @param {string} [resource.mimeType] MIME type of the contents
+     * @param {number} [resource.size] Size in bytes
+     * @param {object} [resource.annotations] Audience, priority and lastModified hints
+     * @param {any} owner Connection that reads the resource
+     * @returns {object} Registered resource entry
+     * @throws {MCPError} If a resource with the same URI or template is already registered
+     */
+    register({ uri, uriTemplate, name, title, description, mimeType, size, annotations }, owner) {
+        const key = uri ?? uriTemplate;
+        if (this.resources.has(key)) {
+            throw new MCPError(
+                ErrorCodes.RESOURCE_EXISTS,
+                `Resource already registered: ${key}`
+            );
+        }
+
+        const entry = {
+            uri,
+            uriTemplate,
+            name,
+            title,
+            description,
+            mimeType,
+            size,
+            annotations,
+            owner,
+            registeredAt: Date.now(),
+            ...(uriTemplate === undefined ? {} : compileTemplate(uriTemplate))
+        };
+        this.resources.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Check if a resource or template is registered
+     * @param {string} key Resource URI or URI template
+     * @returns {boolean} True if registered
+     */
+    has(key) {
+        return this.resources.has(key);
+    }
+
+    /**
+     * Get a registered resource or template
+     * @param {string} key Resource URI or URI template
+     * @returns {object} Registered resource entry
+     * @throws {MCPError} If nothing is registered under the key
+     */
+    get(key) {
+        const entry = this.resources.get(key);
+        if (!entry) {
+            throw new MCPError(
+                ErrorCodes.RESOURCE_NOT_FOUND,
+                `Resource not found: ${key}`
+            );
+        }
+        return entry;
+    }
+
+    /**
+     * Find the resource that serves a URI
+     *
+     * A static resource with the exact URI wins over templates, and templates
+     * are tried in the order they were registered.
+     * @param {string} uri Resource URI
+     * @returns {object} { entry, params } with the template variables of the URI
+     * @throws {MCPError} If no resource or template matches
+     */
+    resolve(uri) {
+        const exact = this.resources.get(uri);
+        if (exact && exact.uri !== undefined) {
+            return { entry: exact, params: {} };
+        }
+
+        for (const entry of this.resources.values()) {
+            if (entry.uriTemplate === undefined) continue;
+            const params = matchTemplate(entry, uri);
+            if (params) {
+                return { entry, params };
+            }
+        }
+
+        throw new MCPError(
+            ErrorCodes.RESOURCE_NOT_FOUND,
+            `Resource not found: ${uri}`,
+            { uri }
+        );
+    }
+
+    /**
+     * Unregister a resource or template
+     * @param {string} key Resource URI or URI template
+     * @returns {object} Removed resource entry
+     * @throws {MCPError} If nothing is registered under the key
+     */
+    unregister(key) {
+        const entry = this.get(key);
+        this.resources.delete(key);
+        return entry;
+    }
+
+    /**
+     * Unregister all resources and templates owned by a connection
+     * @param {any} owner Connection that owns the resources
+     * @returns {object[]} Definitions of the removed resources
+     */
+    unregisterOwner(owner) {
+        const removed = [];
+        for (const [key, entry] of this.resources) {
+            if (entry.owner === owner) {
+                this.resources.delete(key);
+                removed.push(toResourceDefinition(entry));
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Hand all resources and templates of a connection over to another connection
+     * @param {any} from Connection that owns the resources
+     * @param {any} to Connection that takes them over
+     * @returns {string[]} URIs and URI templates of the moved resources
+     */
+    transferOwner(from, to) {
+        const moved = [];
+        for (const [key, entry] of this.resources) {
+            if (entry.owner === from) {
+                entry.owner = to;
+                moved.push(key);
+            }
+        }
+        return moved;
+    }
+
+    /**
+     * List registered static resources
+     * @returns {object[]} Resource definitions without owner information
+     */
+    list() {
+        return Array.from(this.resources.values())
+            .filter(entry => entry.uri !== undefined)
+            .map(toResourceDefinition);
+    }
+
+    /**
+     * List registered resource templates
+     * @returns {object[]} Template definitions without owner information
+     */
+    listTemplates() {
+        return Array.from(this.resources.values())
+            .filter(entry => entry.uriTemplate !== undefined)
+            .map(toResourceDefinition);
+    }
+}
+
+/**
+ * Get the public definition of a resource entry
+ * @param {object} entry Registered resource entry
+ * @returns {object} Resource or template definition without owner information
+ */
+export function toResourceDefinition({ uri, uriTemplate, name, title, description, mimeType, size, annotations }) {
+    return { uri, uriTemplate, name, title, description, mimeType, size, annotations };
+}
+
+/**
+ * Create a new resource registry
+ * @returns {ResourceRegistry} Resource registry instance
+ */
+export function createResourceRegistry() {
+    return new ResourceRegistry();
+}
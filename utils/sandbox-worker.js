@@ -0,0 +1,64 @@
+/**
+ * Worker thread that evaluates a script tool call
+ *
+ * Values cross into the vm context as JSON strings, so the code never holds
+ * an object of this realm it could climb out through.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import vm from 'vm';
+import { wrapScript } from './sandbox.js';
+
+const { code, args, allowNetwork } = workerData;
+
+// A null-prototype global leaves no path to this realm's Function constructor
+const context = vm.createContext(Object.create(null), {
+    name: 'script tool',
+    codeGeneration: { strings: false, wasm: false }
+});
+// Bound before the script runs, so replacing JSON in the context has no effect on them
+const parse = vm.runInContext('JSON.parse.bind(JSON)', context);
+const stringify = vm.runInContext('JSON.stringify.bind(JSON)', context);
+
+if (allowNetwork) {
+    // The context's own function keeps the host function out of the script's reach
+    const createFetch = vm.runInContext(`(request) => async function fetch(url, init) {
+        const response = JSON.parse(await request(String(url), JSON.stringify(init ?? {})));
+        if (response.error) throw new TypeError(response.error);
+        return response;
+    }`, context);
+    context.fetch = createFetch(sandboxFetch);
+}
+
+/**
+ * Fetch a URL for the script
+ *
+ * Failures are returned rather than thrown, since an error of this realm
+ * would expose its constructors to the script.
+ * @param {string} url URL to fetch
+ * @param {string} init Request options { method, headers, body } as JSON
+ * @returns {Promise<string>} { ok, status, statusText, headers, text } or { error } as JSON
+ */
+async function sandboxFetch(url, init) {
+    try {
+        const { method, headers, body } = JSON.parse(init);
+        const response = await fetch(url, { method, headers, body });
+        return JSON.stringify({
+            ok: response.ok,
+            status: response.status,
+            statusText: response.statusText,
+            headers: Object.fromEntries(response.headers),
+            text: await response.text()
+        });
+    } catch (error) {
+        return JSON.stringify({ error: error.message });
+    }
+}
+
+try {
+    const run = vm.runInContext(wrapScript(code), context, { filename: 'script-tool.js' });
+    const value = await run(parse(JSON.stringify(args ?? {})));
+    parentPort.postMessage({ result: stringify(value === undefined ? null : value) });
+} catch (error) {
+    parentPort.postMessage({ error: `${error?.name ?? 'Error'}: ${error?.message ?? error}` });
+}
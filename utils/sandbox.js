@@ -0,0 +1,111 @@
+/**
+ * Sandboxed JavaScript tools for MCP extension
+ *
+ * Each call runs in its own worker thread with a heap limit. The code is
+ * evaluated in a vm context that only has the JavaScript built-ins, so it
+ * cannot reach the filesystem, the network or the plugin's state.
+ */
+
+import { Worker } from 'worker_threads';
+import vm from 'vm';
+import { MCPError, ErrorCodes } from './errors.js';
+
+/**
+ * Owner of the script tools in the tool registry
+ */
+export const SCRIPT_OWNER = Symbol('script');
+
+/**
+ * Default heap limit of a script call in megabytes
+ */
+export const DEFAULT_MEMORY_LIMIT = 32;
+
+/**
+ * Worker that evaluates the scripts
+ */
+const WORKER_URL = new URL('./sandbox-worker.js', import.meta.url);
+
+/**
+ * Wrap a function body so it can be called with the tool arguments
+ * @param {string} code Function body, may use await
+ * @returns {string} Source of an async function expression taking args
+ */
+export function wrapScript(code) {
+    return `(async function (args) {\n${code}\n})`;
+}
+
+/**
+ * Check that a function body compiles
+ * @param {string} code Function body
+ * @throws {MCPError} If the code has a syntax error
+ */
+export function checkScript(code) {
+    try {
+        new vm.Script(wrapScript(code));
+    } catch (error) {
+        throw new MCPError(
+            ErrorCodes.INVALID_HANDLER,
+            `Invalid script: ${error.message}`
+        );
+    }
+}
+
+/**
+ * Run a script tool
+ *
+ * The worker is terminated when the signal aborts, which also stops code
+ * that never yields.
+ * @param {string} code Function body
+ * @param {object} args Tool arguments, passed to the code as args
+ * @param {object} [options] Run options
+ * @param {number} [options.memoryLimit] Heap limit in megabytes
+ * @param {boolean} [options.allowNetwork] Whether the code may use fetch
+ * @param {AbortSignal} [options.signal] Signal that stops the call
+ * @returns {Promise<any>} Value the code returned, as JSON
+ * @throws {MCPError} If the code throws, runs out of memory or is stopped
+ */
+export function runScript(code, args, { memoryLimit = DEFAULT_MEMORY_LIMIT, allowNetwork = false, signal } = {}) {
+    signal?.throwIfAborted();
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER_URL, {
+            workerData: { code, args, allowNetwork },
+            resourceLimits: { maxOldGenerationSizeMb: memoryLimit },
+            env: {}
+        });
+
+        let settled = false;
+        const finish = (settle, value) => {
+            if (settled) return;
+            settled = true;
+            signal?.removeEventListener('abort', onAbort);
+            worker.terminate();
+            settle(value);
+        };
+        const onAbort = () => finish(reject, signal.reason);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        worker.once('message', ({ result, error }) => {
+            if (error) {
+                finish(reject, new MCPError(ErrorCodes.TOOL_EXECUTION_FAILED, error));
+                return;
+            }
+            try {
+                finish(resolve, result === undefined ? null : JSON.parse(result));
+            } catch {
+                finish(reject, new MCPError(ErrorCodes.TOOL_EXECUTION_FAILED, 'Script returned a result that is not valid JSON'));
+            }
+        });
+        worker.once('error', (error) => {
+            finish(reject, new MCPError(
+                ErrorCodes.TOOL_EXECUTION_FAILED,
+                error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+                    ? `Script exceeded its memory limit of ${memoryLimit} MB`
+                    : `Script failed: ${error.message}`
+            ));
+        });
+        worker.once('exit', () => {
+            finish(reject, new MCPError(ErrorCodes.TOOL_EXECUTION_FAILED, 'Script exited without a result'));
+        });
+    });
+}
@@ -1,7 +1,215 @@
 /**
  * Schema validation utilities for MCP tools and resources
+ *
+ * Implements JSON Schema draft 2020-12. Errors are reported as strings
+ * prefixed with the JSON pointer of the offending value.
  */
 
+import { isIPv4, isIPv6 } from 'net';
+
+/**
+ * Base URI for schemas without an $id
+ */
+const DEFAULT_BASE_URI = 'https://mcp.local/schema.json';
+
+/**
+ * Keywords whose values are data rather than subschemas
+ */
+const DATA_KEYWORDS = new Set(['enum', 'const', 'default', 'examples']);
+
+/**
+ * Format validators (formats not listed here are annotations only)
+ */
+const FORMATS = {
+    'date-time': (value) => {
+        const match = /^(\d{4}-\d{2}-\d{2})[Tt](.+)$/.exec(value);
+        return match !== null && FORMATS.date(match[1]) && FORMATS.time(match[2]);
+    },
+    date: (value) => {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!match) return false;
+        const [year, month, day] = match.slice(1).map(Number);
+        const leap = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+        const days = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+        return month >= 1 && month <= 12 && day >= 1 && day <= days[month - 1];
+    },
+    time: (value) => {
+        const match = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|([+-])(\d{2}):(\d{2}))$/.exec(value);
+        if (!match) return false;
+        const [hour, minute, second] = match.slice(1, 4).map(Number);
+        const offsetHour = match[7] === undefined ? 0 : Number(match[7]);
+        const offsetMinute = match[8] === undefined ? 0 : Number(match[8]);
+        return hour <= 23 && minute <= 59 && second <= 60 && offsetHour <= 23 && offsetMinute <= 59;
+    },
+    duration: (value) => /^P(?:\d+W|(?=\d|T\d)(?:\d+Y)?(?:\d+M)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+S)?)?)$/.test(value),
+    email: (value) => /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)*[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(value),
+    'idn-email': (value) => /^[^\s@]+@[^\s@]+$/.test(value),
+    hostname: (value) => value.length <= 253
+        && value.split('.').every(label => /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(label)),
+    ipv4: (value) => isIPv4(value),
+    ipv6: (value) => isIPv6(value),
+    uri: (value) => /^[A-Za-z][A-Za-z0-9+.-]*:[^\s<>"{}|\\^`]*$/.test(value),
+    'uri-reference': (value) => /^[^\s<>"{}|\\^`]*$/.test(value),
+    iri: (value) => /^[A-Za-z][A-Za-z0-9+.-]*:[^\s<>"{}|\\^`]*$/u.test(value),
+    'iri-reference': (value) => /^[^\s<>"{}|\\^`]*$/u.test(value),
+    'uri-template': (value) => /^(?:[^{}\s]|\{[^{}\s]+\})*$/.test(value),
+    uuid: (value) => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value),
+    regex: (value) => parsePattern(value) !== null,
+    'json-pointer': (value) => /^(?:\/(?:[^~/]|~[01])*)*$/.test(value),
+    'relative-json-pointer': (value) => /^(?:0|[1-9]\d*)(?:#|(?:\/(?:[^~/]|~[01])*)*)$/.test(value)
+};
+
+/**
+ * Meta-schema describing valid draft 2020-12 schemas
+ */
+const META_SCHEMA = {
+    $defs: {
+        schemaArray: { type: 'array', minItems: 1, items: { $ref: '#' } },
+        schemaMap: { type: 'object', additionalProperties: { $ref: '#' } },
+        nonNegativeInteger: { type: 'integer', minimum: 0 },
+        stringArray: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+        simpleTypes: { enum: ['array', 'boolean', 'integer', 'null', 'number', 'object', 'string'] }
+    },
+    type: ['object', 'boolean'],
+    properties: {
+        $id: { type: 'string', format: 'uri-reference' },
+        $schema: { type: 'string', format: 'uri' },
+        $ref: { type: 'string', format: 'uri-reference' },
+        $anchor: { type: 'string', pattern: '^[A-Za-z_][-A-Za-z0-9._]*$' },
+        $dynamicRef: { type: 'string', format: 'uri-reference' },
+        $dynamicAnchor: { type: 'string', pattern: '^[A-Za-z_][-A-Za-z0-9._]*$' },
+        $comment: { type: 'string' },
+        $defs: { $ref: '#/$defs/schemaMap' },
+        definitions: { $ref: '#/$defs/schemaMap' },
+        type: {
+            anyOf: [
+                { $ref: '#/$defs/simpleTypes' },
+                { type: 'array', items: { $ref: '#/$defs/simpleTypes' }, minItems: 1, uniqueItems: true }
+            ]
+        },
+        enum: { type: 'array' },
+        multipleOf: { type: 'number', exclusiveMinimum: 0 },
+        maximum: { type: 'number' },
+        exclusiveMaximum: { type: 'number' },
+        minimum: { type: 'number' },
+        exclusiveMinimum: { type: 'number' },
+        maxLength: { $ref: '#/$defs/nonNegativeInteger' },
+        minLength: { $ref: '#/$defs/nonNegativeInteger' },
+        pattern: { type: 'string', format: 'regex' },
+        maxItems: { $ref: '#/$defs/nonNegativeInteger' },
+        minItems: { $ref: '#/$defs/nonNegativeInteger' },
+        uniqueItems: { type: 'boolean' },
+        maxContains: { $ref: '#/$defs/nonNegativeInteger' },
+        minContains: { $ref: '#/$defs/nonNegativeInteger' },
+        maxProperties: { $ref: '#/$defs/nonNegativeInteger' },
+        minProperties: { $ref: '#/$defs/nonNegativeInteger' },
+        required: { $ref: '#/$defs/stringArray' },
+        dependentRequired: { type: 'object', additionalProperties: { $ref: '#/$defs/stringArray' } },
+        prefixItems: { $ref: '#/$defs/schemaArray' },
+        items: { $ref: '#' },
+        contains: { $ref: '#' },
+        additionalProperties: { $ref: '#' },
+        properties: { $ref: '#/$defs/schemaMap' },
+        patternProperties: {
+            type: 'object',
+            additionalProperties: { $ref: '#' },
+            propertyNames: { format: 'regex' }
+        },
+        dependentSchemas: { $ref: '#/$defs/schemaMap' },
+        propertyNames: { $ref: '#' },
+        if: { $ref: '#' },
+        then: { $ref: '#' },
+        else: { $ref: '#' },
+        allOf: { $ref: '#/$defs/schemaArray' },
+        anyOf: { $ref: '#/$defs/schemaArray' },
+        oneOf: { $ref: '#/$defs/schemaArray' },
+        not: { $ref: '#' },
+        unevaluatedItems: { $ref: '#' },
+        unevaluatedProperties: { $ref: '#' },
+        format: { type: 'string' },
+        contentEncoding: { type: 'string' },
+        contentMediaType: { type: 'string' },
+        contentSchema: { $ref: '#' },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        deprecated: { type: 'boolean' },
+        readOnly: { type: 'boolean' },
+        writeOnly: { type: 'boolean' },
+        examples: { type: 'array' }
+    }
+};
+
+/**
+ * Compiled pattern cache
+ */
+const patternCache = new Map();
+
+/**
+ * Maximum number of compiled patterns kept in the cache
+ */
+const PATTERN_CACHE_SIZE = 500;
+
+/**
+ * Schema context cache (resource and anchor indexes per root schema)
+ */
+const contextCache = new WeakMap();
+
+/**
+ * Parse a pattern as a unicode regular expression without caching it
+ * @param {string} pattern Regular expression source
+ * @returns {RegExp|null} Compiled expression or null if invalid
+ */
+function parsePattern(pattern) {
+    try {
+        return new RegExp(pattern, 'u');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Compile a schema pattern, reusing recently compiled expressions
+ * @param {string} pattern Regular expression source
+ * @returns {RegExp|null} Compiled expression or null if invalid
+ */
+function compilePattern(pattern) {
+    if (patternCache.has(pattern)) {
+        // Move the pattern to the end so the least recently used is evicted first
+        const regex = patternCache.get(pattern);
+        patternCache.delete(pattern);
+        patternCache.set(pattern, regex);
+        return regex;
+    }
+
+    const regex = parsePattern(pattern);
+    if (patternCache.size >= PATTERN_CACHE_SIZE) {
+        patternCache.delete(patternCache.keys().next().value);
+    }
+    patternCache.set(pattern, regex);
+    return regex;
+}
+
+/**
+ * Check if a value is a plain object
+ * @param {any} value Value to check
+ * @returns {boolean} True if value is a non-null, non-array object
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {any} value Value to inspect
+ * @returns {string} JSON type name
+ */
+function getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
 /**
  * Validates a value against a JSON Schema type
  * @param {any} value Value to validate
@@ -13,7 +221,7 @@ function validateType(value, type) {
         case 'string':
             return typeof value === 'string';
         case 'number':
-            return typeof value === 'number' && !isNaN(value);
+            return typeof value === 'number' && Number.isFinite(value);
         case 'integer':
             return Number.isInteger(value);
         case 'boolean':
@@ -21,7 +229,7 @@ function validateType(value, type) {
         case 'array':
             return Array.isArray(value);
         case 'object':
-            return typeof value === 'object' && value !== null && !Array.isArray(value);
+            return isObject(value);
         case 'null':
             return value === null;
         default:
@@ -30,168 +238,621 @@ function validateType(value, type) {
 }
 
 /**
- * Validates a value against a JSON Schema
+ * Compare two JSON values for structural equality
+ * @param {any} a First value
+ * @param {any} b Second value
+ * @returns {boolean} True if values are equal
+ */
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+    }
+    if (isObject(a) && isObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length
+            && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+/**
+ * Escape a property name for use in a JSON pointer
+ * @param {string|number} token Pointer token
+ * @returns {string} Escaped token
+ */
+function escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Resolve a JSON pointer against a document
+ * @param {any} document Document to search
+ * @param {string} pointer JSON pointer
+ * @returns {any} Value at pointer or undefined
+ */
+function resolvePointer(document, pointer) {
+    if (pointer === '') return document;
+    let current = document;
+    for (const token of pointer.slice(1).split('/')) {
+        const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+        if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, key)) {
+            return undefined;
+        }
+        current = current[key];
+    }
+    return current;
+}
+
+/**
+ * Resolve a URI reference against a base URI
+ * @param {string} ref URI reference
+ * @param {string} base Base URI
+ * @returns {string} Resolved URI
+ */
+function resolveUri(ref, base) {
+    try {
+        return new URL(ref, base).href;
+    } catch {
+        return ref;
+    }
+}
+
+/**
+ * Split a URI into its resource part and decoded fragment
+ * @param {string} uri URI to split
+ * @returns {string[]} [resource, fragment]
+ */
+function splitFragment(uri) {
+    const index = uri.indexOf('#');
+    if (index === -1) return [uri, ''];
+
+    let fragment = uri.slice(index + 1);
+    try {
+        fragment = decodeURIComponent(fragment);
+    } catch {
+        // Keep the raw fragment
+    }
+    return [uri.slice(0, index), fragment];
+}
+
+/**
+ * Index embedded schema resources and anchors
+ * @param {any} schema Schema to index
+ * @param {string} base Current base URI
+ * @param {object} context Schema context
+ */
+function indexSchema(schema, base, context) {
+    if (Array.isArray(schema)) {
+        schema.forEach(item => indexSchema(item, base, context));
+        return;
+    }
+    if (!isObject(schema)) return;
+
+    if (typeof schema.$id === 'string') {
+        base = splitFragment(resolveUri(schema.$id, base))[0];
+        context.resources.set(base, schema);
+    }
+
+    for (const keyword of ['$anchor', '$dynamicAnchor']) {
+        if (typeof schema[keyword] === 'string') {
+            context.anchors.set(`${base}#${schema[keyword]}`, schema);
+        }
+    }
+
+    for (const [key, child] of Object.entries(schema)) {
+        if (!DATA_KEYWORDS.has(key)) {
+            indexSchema(child, base, context);
+        }
+    }
+}
+
+/**
+ * Get the resource and anchor indexes for a root schema
+ * @param {object|boolean} root Root schema
+ * @returns {object} Schema context
+ */
+function getContext(root) {
+    if (!isObject(root)) {
+        return { root, base: DEFAULT_BASE_URI, resources: new Map(), anchors: new Map() };
+    }
+
+    let context = contextCache.get(root);
+    if (!context) {
+        const base = typeof root.$id === 'string'
+            ? splitFragment(resolveUri(root.$id, DEFAULT_BASE_URI))[0]
+            : DEFAULT_BASE_URI;
+        context = { root, base, resources: new Map([[base, root]]), anchors: new Map() };
+        indexSchema(root, base, context);
+        contextCache.set(root, context);
+    }
+    return context;
+}
+
+/**
+ * Resolve a $ref against the schema context
+ * @param {string} ref Reference
+ * @param {string} base Current base URI
+ * @param {object} context Schema context
+ * @returns {object|null} { schema, base } or null if unresolvable
+ */
+function resolveRef(ref, base, context) {
+    const [resourceUri, fragment] = splitFragment(resolveUri(ref, base));
+    const resource = context.resources.get(resourceUri);
+    if (resource === undefined) return null;
+
+    if (fragment === '') {
+        return { schema: resource, base: resourceUri };
+    }
+
+    const schema = fragment.startsWith('/')
+        ? resolvePointer(resource, fragment)
+        : context.anchors.get(`${resourceUri}#${fragment}`);
+
+    return schema === undefined ? null : { schema, base: resourceUri };
+}
+
+/**
+ * Create an empty validation result
+ * @returns {object} Result with errors and evaluation annotations
+ */
+function createResult() {
+    return { errors: [], properties: new Set(), items: new Set() };
+}
+
+/**
+ * Merge a subschema result into a parent result
+ * @param {object} target Parent result
+ * @param {object} source Subschema result
+ * @param {boolean} [withErrors=true] Whether to copy errors
+ */
+function mergeResult(target, source, withErrors = true) {
+    if (withErrors) target.errors.push(...source.errors);
+    source.properties.forEach(key => target.properties.add(key));
+    source.items.forEach(index => target.items.add(index));
+}
+
+/**
+ * Validate a value against a schema node
  * @param {any} value Value to validate
- * @param {object} schema JSON Schema
- * @returns {object} Validation result { valid: boolean, errors: string[] }
+ * @param {object|boolean} schema Schema node
+ * @param {string} path JSON pointer of the value
+ * @param {string} base Base URI of the schema node
+ * @param {object} context Schema context
+ * @returns {object} Validation result
  */
-export function validateSchema(value, schema) {
-    const errors = [];
+function validateNode(value, schema, path, base, context) {
+    const result = createResult();
+    const fail = (message) => result.errors.push({ path, message });
+
+    if (schema === true) return result;
+    if (schema === false) {
+        fail('Value is not allowed');
+        return result;
+    }
+    if (!isObject(schema)) {
+        fail('Invalid schema');
+        return result;
+    }
+
+    if (typeof schema.$id === 'string') {
+        base = splitFragment(resolveUri(schema.$id, base))[0];
+    }
+
+    // References
+    for (const keyword of ['$ref', '$dynamicRef']) {
+        if (typeof schema[keyword] !== 'string') continue;
+
+        const target = resolveRef(schema[keyword], base, context);
+        if (!target) {
+            fail(`Unresolvable ${keyword}: ${schema[keyword]}`);
+            continue;
+        }
+
+        const key = `${resolveUri(schema[keyword], base)}@${path}`;
+        if (context.refStack.has(key)) {
+            fail(`Circular ${keyword}: ${schema[keyword]}`);
+            continue;
+        }
+
+        context.refStack.add(key);
+        mergeResult(result, validateNode(value, target.schema, path, target.base, context));
+        context.refStack.delete(key);
+    }
 
     // Type validation
-    if (schema.type) {
-        if (!validateType(value, schema.type)) {
-            errors.push(`Expected type ${schema.type}, got ${typeof value}`);
-            return { valid: false, errors };
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => validateType(value, type))) {
+            fail(`Expected type ${types.join(' or ')}, got ${getType(value)}`);
+            return result;
         }
     }
 
-    // Required properties
-    if (schema.required && schema.type === 'object') {
-        for (const required of schema.required) {
-            if (!(required in value)) {
-                errors.push(`Missing required property: ${required}`);
+    // Enum and const validation
+    if (Array.isArray(schema.enum) && !schema.enum.some(item => deepEqual(item, value))) {
+        fail(`Value must be one of: ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+
+    if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+        fail(`Value must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        validateNumber(value, schema, fail);
+    } else if (typeof value === 'string') {
+        validateString(value, schema, fail);
+    } else if (Array.isArray(value)) {
+        validateArray(value, schema, path, base, context, result);
+    } else if (isObject(value)) {
+        validateObject(value, schema, path, base, context, result);
+    }
+
+    // Combinators
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(subschema => mergeResult(result, validateNode(value, subschema, path, base, context)));
+    }
+
+    if (Array.isArray(schema.anyOf)) {
+        const valid = schema.anyOf
+            .map(subschema => validateNode(value, subschema, path, base, context))
+            .filter(sub => sub.errors.length === 0);
+        if (valid.length === 0) {
+            fail('Value must match at least one schema in anyOf');
+        }
+        valid.forEach(sub => mergeResult(result, sub));
+    }
+
+    if (Array.isArray(schema.oneOf)) {
+        const valid = schema.oneOf
+            .map(subschema => validateNode(value, subschema, path, base, context))
+            .filter(sub => sub.errors.length === 0);
+        if (valid.length !== 1) {
+            fail(`Value must match exactly one schema in oneOf, matched ${valid.length}`);
+        } else {
+            mergeResult(result, valid[0]);
+        }
+    }
+
+    if (schema.not !== undefined && validateNode(value, schema.not, path, base, context).errors.length === 0) {
+        fail('Value must not match schema in not');
+    }
+
+    if (schema.if !== undefined) {
+        const condition = validateNode(value, schema.if, path, base, context);
+        if (condition.errors.length === 0) {
+            mergeResult(result, condition);
+            if (schema.then !== undefined) {
+                mergeResult(result, validateNode(value, schema.then, path, base, context));
             }
+        } else if (schema.else !== undefined) {
+            mergeResult(result, validateNode(value, schema.else, path, base, context));
         }
     }
 
-    // Property validation
-    if (schema.properties && schema.type === 'object') {
-        for (const [key, propSchema] of Object.entries(schema.properties)) {
-            if (key in value) {
-                const propValue = value[key];
-                const result = validateSchema(propValue, propSchema);
-                if (!result.valid) {
-                    errors.push(`Property ${key}: ${result.errors.join(', ')}`);
+    // Unevaluated keywords depend on annotations from all other keywords
+    if (Array.isArray(value) && schema.unevaluatedItems !== undefined) {
+        value.forEach((item, index) => {
+            if (!result.items.has(index)) {
+                if (schema.unevaluatedItems === false) {
+                    fail(`Unexpected item at index ${index}`);
+                    return;
                 }
+                mergeResult(result, validateNode(item, schema.unevaluatedItems, `${path}/${index}`, base, context));
+                result.items.add(index);
             }
-        }
+        });
     }
 
-    // Array validation
-    if (schema.type === 'array') {
-        if (schema.items) {
-            for (let i = 0; i < value.length; i++) {
-                const result = validateSchema(value[i], schema.items);
-                if (!result.valid) {
-                    errors.push(`Array item ${i}: ${result.errors.join(', ')}`);
+    if (isObject(value) && schema.unevaluatedProperties !== undefined) {
+        for (const key of Object.keys(value)) {
+            if (!result.properties.has(key)) {
+                if (schema.unevaluatedProperties === false) {
+                    fail(`Unexpected property: ${key}`);
+                    continue;
                 }
+                mergeResult(result, validateNode(value[key], schema.unevaluatedProperties, `${path}/${escapePointer(key)}`, base, context));
+                result.properties.add(key);
             }
         }
+    }
+
+    return result;
+}
+
+/**
+ * Validate number keywords
+ * @param {number} value Value to validate
+ * @param {object} schema Schema node
+ * @param {Function} fail Error callback
+ */
+function validateNumber(value, schema, fail) {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+        fail(`Value must be >= ${schema.minimum}`);
+    }
+
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+        fail(`Value must be <= ${schema.maximum}`);
+    }
 
-        if (schema.minItems !== undefined && value.length < schema.minItems) {
-            errors.push(`Array must have at least ${schema.minItems} items`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+        fail(`Value must be > ${schema.exclusiveMinimum}`);
+    }
+
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+        fail(`Value must be < ${schema.exclusiveMaximum}`);
+    }
+
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+        const quotient = value / schema.multipleOf;
+        if (!Number.isFinite(quotient) || Math.abs(quotient - Math.round(quotient)) > 1e-9 * Math.max(1, Math.abs(quotient))) {
+            fail(`Value must be multiple of ${schema.multipleOf}`);
         }
+    }
+}
 
-        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
-            errors.push(`Array must have at most ${schema.maxItems} items`);
+/**
+ * Validate string keywords
+ * @param {string} value Value to validate
+ * @param {object} schema Schema node
+ * @param {Function} fail Error callback
+ */
+function validateString(value, schema, fail) {
+    // Lengths are counted in code points, not UTF-16 units
+    const length = [...value].length;
+
+    if (typeof schema.minLength === 'number' && length < schema.minLength) {
+        fail(`String length must be >= ${schema.minLength}`);
+    }
+
+    if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+        fail(`String length must be <= ${schema.maxLength}`);
+    }
+
+    if (typeof schema.pattern === 'string') {
+        const regex = compilePattern(schema.pattern);
+        if (!regex) {
+            fail(`Invalid pattern in schema: ${schema.pattern}`);
+        } else if (!regex.test(value)) {
+            fail(`String must match pattern: ${schema.pattern}`);
         }
+    }
+
+    if (typeof schema.format === 'string' && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+        fail(`Invalid ${schema.format} format`);
+    }
+}
+
+/**
+ * Validate array keywords
+ * @param {any[]} value Value to validate
+ * @param {object} schema Schema node
+ * @param {string} path JSON pointer of the value
+ * @param {string} base Base URI of the schema node
+ * @param {object} context Schema context
+ * @param {object} result Result to update
+ */
+function validateArray(value, schema, path, base, context, result) {
+    const fail = (message) => result.errors.push({ path, message });
+    const validateItem = (index, subschema) => {
+        mergeResult(result, validateNode(value[index], subschema, `${path}/${index}`, base, context));
+        result.items.add(index);
+    };
+
+    const prefixLength = Array.isArray(schema.prefixItems) ? Math.min(schema.prefixItems.length, value.length) : 0;
+    for (let i = 0; i < prefixLength; i++) {
+        validateItem(i, schema.prefixItems[i]);
+    }
 
-        if (schema.uniqueItems && new Set(value).size !== value.length) {
-            errors.push('Array items must be unique');
+    if (schema.items !== undefined) {
+        for (let i = prefixLength; i < value.length; i++) {
+            validateItem(i, schema.items);
         }
     }
 
-    // String validation
-    if (schema.type === 'string') {
-        if (schema.minLength !== undefined && value.length < schema.minLength) {
-            errors.push(`String length must be >= ${schema.minLength}`);
+    if (schema.contains !== undefined) {
+        const matches = [];
+        value.forEach((item, index) => {
+            if (validateNode(item, schema.contains, `${path}/${index}`, base, context).errors.length === 0) {
+                matches.push(index);
+            }
+        });
+        matches.forEach(index => result.items.add(index));
+
+        const minContains = typeof schema.minContains === 'number' ? schema.minContains : 1;
+        if (matches.length < minContains) {
+            fail(`Array must contain at least ${minContains} matching items`);
         }
 
-        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
-            errors.push(`String length must be <= ${schema.maxLength}`);
+        if (typeof schema.maxContains === 'number' && matches.length > schema.maxContains) {
+            fail(`Array must contain at most ${schema.maxContains} matching items`);
         }
+    }
+
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+        fail(`Array must have at least ${schema.minItems} items`);
+    }
+
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+        fail(`Array must have at most ${schema.maxItems} items`);
+    }
 
-        if (schema.pattern) {
-            const regex = new RegExp(schema.pattern);
-            if (!regex.test(value)) {
-                errors.push(`String must match pattern: ${schema.pattern}`);
+    if (schema.uniqueItems === true
+        && value.some((item, i) => value.findIndex(other => deepEqual(item, other)) !== i)) {
+        fail('Array items must be unique');
+    }
+}
+
+/**
+ * Validate object keywords
+ * @param {object} value Value to validate
+ * @param {object} schema Schema node
+ * @param {string} path JSON pointer of the value
+ * @param {string} base Base URI of the schema node
+ * @param {object} context Schema context
+ * @param {object} result Result to update
+ */
+function validateObject(value, schema, path, base, context, result) {
+    const fail = (message) => result.errors.push({ path, message });
+    const keys = Object.keys(value);
+    const has = (key) => Object.prototype.hasOwnProperty.call(value, key);
+    const validateProperty = (key, subschema) => {
+        mergeResult(result, validateNode(value[key], subschema, `${path}/${escapePointer(key)}`, base, context));
+        result.properties.add(key);
+    };
+
+    if (Array.isArray(schema.required)) {
+        for (const required of schema.required) {
+            if (!has(required)) {
+                fail(`Missing required property: ${required}`);
             }
         }
+    }
 
-        if (schema.format) {
-            switch (schema.format) {
-                case 'email':
-                    if (!value.includes('@')) {
-                        errors.push('Invalid email format');
-                    }
-                    break;
-                case 'uri':
-                    try {
-                        new URL(value);
-                    } catch {
-                        errors.push('Invalid URI format');
-                    }
-                    break;
+    if (isObject(schema.dependentRequired)) {
+        for (const [key, dependencies] of Object.entries(schema.dependentRequired)) {
+            if (!has(key) || !Array.isArray(dependencies)) continue;
+            for (const dependency of dependencies) {
+                if (!has(dependency)) {
+                    fail(`Property ${key} requires property: ${dependency}`);
+                }
             }
         }
     }
 
-    // Number validation
-    if (schema.type === 'number' || schema.type === 'integer') {
-        if (schema.minimum !== undefined && value < schema.minimum) {
-            errors.push(`Value must be >= ${schema.minimum}`);
+    if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+        fail(`Object must have at least ${schema.minProperties} properties`);
+    }
+
+    if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+        fail(`Object must have at most ${schema.maxProperties} properties`);
+    }
+
+    if (schema.propertyNames !== undefined) {
+        for (const key of keys) {
+            const sub = validateNode(key, schema.propertyNames, `${path}/${escapePointer(key)}`, base, context);
+            sub.errors.forEach(error => fail(`Invalid property name ${key}: ${error.message}`));
+        }
+    }
+
+    const properties = isObject(schema.properties) ? schema.properties : {};
+    for (const [key, subschema] of Object.entries(properties)) {
+        if (has(key)) {
+            validateProperty(key, subschema);
         }
+    }
 
-        if (schema.maximum !== undefined && value > schema.maximum) {
-            errors.push(`Value must be <= ${schema.maximum}`);
+    const patterns = isObject(schema.patternProperties) ? Object.entries(schema.patternProperties) : [];
+    const matchesPattern = (key) => patterns.some(([pattern]) => compilePattern(pattern)?.test(key));
+    for (const [pattern, subschema] of patterns) {
+        const regex = compilePattern(pattern);
+        if (!regex) {
+            fail(`Invalid pattern in schema: ${pattern}`);
+            continue;
         }
+        keys.filter(key => regex.test(key)).forEach(key => validateProperty(key, subschema));
+    }
 
-        if (schema.multipleOf !== undefined && value % schema.multipleOf !== 0) {
-            errors.push(`Value must be multiple of ${schema.multipleOf}`);
+    if (schema.additionalProperties !== undefined) {
+        for (const key of keys) {
+            if (!Object.prototype.hasOwnProperty.call(properties, key) && !matchesPattern(key)) {
+                if (schema.additionalProperties === false) {
+                    fail(`Unexpected property: ${key}`);
+                    continue;
+                }
+                validateProperty(key, schema.additionalProperties);
+            }
         }
     }
 
-    // Enum validation
-    if (schema.enum !== undefined && !schema.enum.includes(value)) {
-        errors.push(`Value must be one of: ${schema.enum.join(', ')}`);
+    if (isObject(schema.dependentSchemas)) {
+        for (const [key, subschema] of Object.entries(schema.dependentSchemas)) {
+            if (has(key)) {
+                mergeResult(result, validateNode(value, subschema, path, base, context));
+            }
+        }
     }
+}
+
+/**
+ * Format a validation error as a string
+ * @param {object} error Error with path and message
+ * @returns {string} Formatted error
+ */
+function formatError({ path, message }) {
+    return `${path || '/'}: ${message}`;
+}
+
+/**
+ * Validates a value against a JSON Schema
+ * @param {any} value Value to validate
+ * @param {object|boolean} schema JSON Schema
+ * @returns {object} Validation result { valid: boolean, errors: string[] }
+ */
+export function validateSchema(value, schema) {
+    const context = { ...getContext(schema), refStack: new Set() };
+    const { errors } = validateNode(value, schema, '', context.base, context);
 
     return {
         valid: errors.length === 0,
-        errors
+        errors: errors.map(formatError)
     };
 }
 
 /**
- * Validates a tool schema
- * @param {object} schema Tool schema to validate
- * @returns {object} Validation result { valid: boolean, errors: string[] }
+ * Find $ref values that do not resolve within a schema document
+ * @param {any} schema Schema node
+ * @param {string} path JSON pointer of the node
+ * @param {string} base Base URI of the node
+ * @param {object} context Schema context
+ * @param {string[]} errors Error list to update
  */
-export function validateToolSchema(schema) {
-    const errors = [];
+function findUnresolvedRefs(schema, path, base, context, errors) {
+    if (Array.isArray(schema)) {
+        schema.forEach((item, i) => findUnresolvedRefs(item, `${path}/${i}`, base, context, errors));
+        return;
+    }
+    if (!isObject(schema)) return;
 
-    // Basic schema structure
-    if (!schema || typeof schema !== 'object') {
-        errors.push('Schema must be an object');
-        return { valid: false, errors };
+    if (typeof schema.$id === 'string') {
+        base = splitFragment(resolveUri(schema.$id, base))[0];
     }
 
-    // Required fields
-    if (!schema.type) {
-        errors.push('Schema must have a type field');
+    for (const keyword of ['$ref', '$dynamicRef']) {
+        if (typeof schema[keyword] === 'string' && !resolveRef(schema[keyword], base, context)) {
+            errors.push(formatError({ path, message: `Unresolvable ${keyword}: ${schema[keyword]}` }));
+        }
     }
 
-    // Properties validation
-    if (schema.properties && typeof schema.properties !== 'object') {
-        errors.push('Properties must be an object');
+    for (const [key, child] of Object.entries(schema)) {
+        if (!DATA_KEYWORDS.has(key)) {
+            findUnresolvedRefs(child, `${path}/${escapePointer(key)}`, base, context, errors);
+        }
     }
+}
 
-    // Required properties validation
-    if (schema.required && !Array.isArray(schema.required)) {
-        errors.push('Required must be an array');
+/**
+ * Validates a tool schema against the draft 2020-12 meta-schema
+ * @param {object} schema Tool schema to validate
+ * @returns {object} Validation result { valid: boolean, errors: string[] }
+ */
+export function validateToolSchema(schema) {
+    // Basic schema structure
+    if (!isObject(schema)) {
+        return { valid: false, errors: ['Schema must be an object'] };
     }
 
-    // Validate property schemas
-    if (schema.properties) {
-        for (const [key, propSchema] of Object.entries(schema.properties)) {
-            const result = validateToolSchema(propSchema);
-            if (!result.valid) {
-                errors.push(`Invalid property schema for ${key}: ${result.errors.join(', ')}`);
-            }
-        }
+    const { errors } = validateSchema(schema, META_SCHEMA);
+
+    // Required fields
+    if (schema.type === undefined) {
+        errors.unshift('Schema must have a type field');
     }
 
+    // References must resolve within the schema document
+    const context = getContext(schema);
+    findUnresolvedRefs(schema, '', context.base, context, errors);
+
     return {
         valid: errors.length === 0,
         errors
@@ -214,7 +875,7 @@ export function validateResourceUri(uri) {
     try {
         // Check if URI follows the format: protocol://path
         const [protocol, path] = uri.split('://');
-        
+
         if (!protocol || !path) {
             errors.push('URI must follow format: protocol://path');
         }
@@ -231,4 +892,4 @@ export function validateResourceUri(uri) {
         valid: errors.length === 0,
         errors
     };
-}
\ No newline at end of file
+}
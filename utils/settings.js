@@ -0,0 +1,168 @@
+/**
+ * Settings schema, defaults and merging for MCP extension
+ *
+ * The `config` section of manifest.json is the single description of the
+ * settings. Each group maps setting names to a JSON Schema that also carries
+ * the `default`, a `description` and, for settings that only take effect when
+ * the WebSocket server restarts, `restart: true`.
+ */
+
+import { readFileSync } from 'fs';
+import { isDeepStrictEqual } from 'util';
+
+/**
+ * Settings declared in manifest.json
+ */
+const CONFIG = JSON.parse(readFileSync(new URL('../manifest.json', import.meta.url), 'utf8')).config;
+
+/**
+ * JSON Schema for the complete settings object
+ */
+export const SETTINGS_SCHEMA = toSchema(CONFIG);
+
+/**
+ * Dotted paths of settings that need a WebSocket server restart
+ */
+export const RESTART_SETTINGS = findRestartSettings(CONFIG);
+
+/**
+ * Check if a config node declares a setting rather than a group
+ * @param {object} node Config node
+ * @returns {boolean} True if the node is a setting schema
+ */
+function isSetting(node) {
+    return typeof node.type === 'string';
+}
+
+/**
+ * Check if a value is a plain object
+ * @param {any} value Value to check
+ * @returns {boolean} True if value is a non-null, non-array object
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build a JSON Schema from a config node
+ * @param {object} node Config node
+ * @returns {object} Schema that rejects properties the config does not declare
+ */
+function toSchema(node) {
+    if (isSetting(node)) {
+        return node;
+    }
+
+    return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(node).map(([key, child]) => [key, toSchema(child)])),
+        additionalProperties: false
+    };
+}
+
+/**
+ * Build default values from a config node
+ * @param {object} node Config node
+ * @returns {any} Default value of the setting or group
+ */
+function toDefaults(node) {
+    if (isSetting(node)) {
+        return structuredClone(node.default);
+    }
+    return Object.fromEntries(Object.entries(node).map(([key, child]) => [key, toDefaults(child)]));
+}
+
+/**
+ * Collect the settings marked as needing a restart
+ * @param {object} node Config node
+ * @param {string} [prefix] Dotted path of the node
+ * @returns {string[]} Dotted setting paths
+ */
+function findRestartSettings(node, prefix = '') {
+    if (isSetting(node)) {
+        return node.restart === true ? [prefix] : [];
+    }
+    return Object.entries(node).flatMap(([key, child]) => findRestartSettings(child, prefix ? `${prefix}.${key}` : key));
+}
+
+/**
+ * Get a value by dotted path
+ * @param {object} object Object to read
+ * @param {string} path Dotted path
+ * @returns {any} Value at the path, or undefined
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Get the default settings
+ * @returns {object} A fresh copy of the defaults declared in manifest.json
+ */
+export function getDefaultSettings() {
+    return toDefaults(CONFIG);
+}
+
+/**
+ * Apply a partial update to settings
+ *
+ * Objects are merged key by key, other values replace the current value and
+ * null removes the key, as in JSON Merge Patch (RFC 7396).
+ * @param {object} target Current settings
+ * @param {object} patch Partial settings
+ * @returns {object} Merged settings, neither argument is modified
+ */
+export function mergeSettings(target, patch) {
+    if (!isPlainObject(patch)) {
+        return structuredClone(patch);
+    }
+
+    const result = isPlainObject(target) ? { ...target } : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = mergeSettings(result[key], value);
+        }
+    }
+    return result;
+}
+
+/**
+ * Find the partial update that turns one settings object into another
+ *
+ * The inverse of mergeSettings: mergeSettings(base, diffSettings(base, target))
+ * equals target.
+ * @param {object} base Settings to start from
+ * @param {object} target Settings to reach
+ * @returns {object} Partial settings, empty if nothing differs
+ */
+export function diffSettings(base, target) {
+    const patch = {};
+    for (const key of Object.keys(base)) {
+        if (!(key in target)) {
+            patch[key] = null;
+        }
+    }
+    for (const [key, value] of Object.entries(target)) {
+        if (isPlainObject(value) && isPlainObject(base[key])) {
+            const nested = diffSettings(base[key], value);
+            if (Object.keys(nested).length > 0) {
+                patch[key] = nested;
+            }
+        } else if (!isDeepStrictEqual(base[key], value)) {
+            patch[key] = structuredClone(value);
+        }
+    }
+    return patch;
+}
+
+/**
+ * Find changed settings that need a WebSocket server restart
+ * @param {object} before Previous settings
+ * @param {object} after New settings
+ * @returns {string[]} Dotted paths of changed restart settings
+ */
+export function getRestartRequired(before, after) {
+    return RESTART_SETTINGS.filter(path => !isDeepStrictEqual(getPath(before, path), getPath(after, path)));
+}
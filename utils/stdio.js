@@ -0,0 +1,337 @@
+/**
+ * MCP client for servers spawned as child processes over stdio
+ */
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { MCPError, ErrorCodes } from './errors.js';
+import {
+    PROTOCOL_VERSIONS,
+    isResponse,
+    createRequest,
+    createNotification,
+    createResponse,
+    createErrorResponse,
+    fromJsonRpcError
+} from './jsonrpc.js';
+import { logger } from './logger.js';
+
+/**
+ * Default timeout for lifecycle requests in milliseconds
+ */
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Time to wait for a child to exit before killing it, in milliseconds
+ */
+const SHUTDOWN_TIMEOUT = 5000;
+
+/**
+ * MCP client connected to a local server process
+ *
+ * Emits 'tools_changed' when the server reports a new tool list and
+ * 'exit' when the process ends.
+ */
+export class StdioClient extends EventEmitter {
+    /**
+     * Create a new stdio client
+     * @param {string} name Server name
+     * @param {object} config Server configuration
+     * @param {string} config.command Executable to spawn
+     * @param {string[]} [config.args] Command line arguments
+     * @param {object} [config.env] Additional environment variables
+     * @param {string} [config.cwd] Working directory
+     */
+    constructor(name, config) {
+        super();
+        this.name = name;
+        this.config = config;
+        this.process = null;
+        this.buffer = '';
+        this.nextId = 1;
+        this.pending = new Map();
+        this.progressHandlers = new Map();
+        this.nextProgressToken = 1;
+        this.serverInfo = null;
+        this.capabilities = {};
+    }
+
+    /**
+     * Spawn the server and perform the MCP handshake
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const { command, args = [], env = {}, cwd } = this.config;
+        logger.info(`Starting MCP server: ${this.name}`, { command, args });
+
+        this.process = spawn(command, args, {
+            cwd,
+            env: { ...process.env, ...env },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        this.process.stdin.on('error', (error) => {
+            logger.debug(`MCP server stdin error: ${this.name}`, { message: error.message });
+        });
+        this.process.stdout.setEncoding('utf8');
+        this.process.stdout.on('data', (chunk) => this.handleData(chunk));
+        this.process.stderr.setEncoding('utf8');
+        this.process.stderr.on('data', (chunk) => {
+            logger.debug(`[${this.name}] ${chunk.trimEnd()}`);
+        });
+
+        this.process.on('error', (error) => {
+            logger.error(`MCP server process error: ${this.name}`, error);
+            this.handleExit();
+        });
+        this.process.on('exit', (code, signal) => {
+            logger.info(`MCP server exited: ${this.name}`, { code, signal });
+            this.handleExit();
+        });
+
+        const result = await this.request('initialize', {
+            protocolVersion: PROTOCOL_VERSIONS[0],
+            capabilities: {},
+            clientInfo: { name: 'sillytavern-mcp-extension', version: '1.0.0' }
+        }, { timeout: REQUEST_TIMEOUT });
+
+        this.serverInfo = result.serverInfo ?? null;
+        this.capabilities = result.capabilities ?? {};
+        this.notify('notifications/initialized');
+    }
+
+    /**
+     * Check if the server process is running
+     * @returns {boolean} True if running
+     */
+    isRunning() {
+        return this.process !== null;
+    }
+
+    /**
+     * List all tools offered by the server
+     * @returns {Promise<object[]>} MCP tool definitions
+     */
+    async listTools() {
+        const tools = [];
+        let cursor;
+        do {
+            const result = await this.request('tools/list', cursor ? { cursor } : {}, { timeout: REQUEST_TIMEOUT });
+            tools.push(...(result.tools ?? []));
+            cursor = result.nextCursor;
+        } while (cursor);
+        return tools;
+    }
+
+    /**
+     * Call a tool on the server
+     * @param {string} name Tool name
+     * @param {object} args Tool arguments
+     * @param {object} [options] Call options
+     * @param {AbortSignal} [options.signal] Signal that cancels the call
+     * @param {Function} [options.onProgress] Called with each progress notification's params
+     * @returns {Promise<object>} MCP tool result
+     */
+    async callTool(name, args, { signal, onProgress } = {}) {
+        if (!onProgress) {
+            return this.request('tools/call', { name, arguments: args }, { signal });
+        }
+
+        const progressToken = `progress-${this.nextProgressToken++}`;
+        this.progressHandlers.set(progressToken, onProgress);
+        try {
+            return await this.request('tools/call', {
+                name,
+                arguments: args,
+                _meta: { progressToken }
+            }, { signal });
+        } finally {
+            this.progressHandlers.delete(progressToken);
+        }
+    }
+
+    /**
+     * Send a request and wait for its response
+     * @param {string} method Method name
+     * @param {object} [params] Method parameters
+     * @param {object} [options] Request options
+     * @param {number} [options.timeout] Timeout in milliseconds
+     * @param {AbortSignal} [options.signal] Signal that cancels the request
+     * @returns {Promise<any>} Method result
+     */
+    request(method, params, { timeout, signal } = {}) {
+        if (!this.isRunning()) {
+            return Promise.reject(new MCPError(
+                ErrorCodes.SERVER_ERROR,
+                `MCP server is not running: ${this.name}`
+            ));
+        }
+
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = timeout ? setTimeout(() => {
+                this.pending.delete(id);
+                reject(new MCPError(
+                    ErrorCodes.SERVER_ERROR,
+                    `MCP server request timed out: ${this.name} ${method}`
+                ));
+            }, timeout) : null;
+
+            // Tell the server to stop working on a request nobody waits for
+            const onAbort = () => {
+                this.pending.delete(id);
+                clearTimeout(timer);
+                this.notify('notifications/cancelled', { requestId: id, reason: signal.reason?.message });
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.pending.set(id, {
+                resolve,
+                reject,
+                timer,
+                cleanup: () => signal?.removeEventListener('abort', onAbort)
+            });
+            this.write(createRequest(id, method, params));
+        });
+    }
+
+    /**
+     * Send a notification
+     * @param {string} method Method name
+     * @param {object} [params] Method parameters
+     */
+    notify(method, params) {
+        this.write(createNotification(method, params));
+    }
+
+    /**
+     * Stop the server process
+     * @returns {Promise<void>} Resolves when the process has exited
+     */
+    stop() {
+        const child = this.process;
+        if (!child) return Promise.resolve();
+
+        logger.info(`Stopping MCP server: ${this.name}`);
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => child.kill('SIGKILL'), SHUTDOWN_TIMEOUT);
+            child.once('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+
+            // Closing stdin is the graceful shutdown signal for stdio servers
+            child.stdin.end();
+            child.kill('SIGTERM');
+        });
+    }
+
+    /**
+     * Write a message to the server
+     * @param {object} message JSON-RPC message
+     */
+    write(message) {
+        if (this.process?.stdin.writable) {
+            this.process.stdin.write(JSON.stringify(message) + '\n');
+        }
+    }
+
+    /**
+     * Handle a chunk of server output
+     * @param {string} chunk Output chunk
+     */
+    handleData(chunk) {
+        this.buffer += chunk;
+
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).trim();
+            this.buffer = this.buffer.slice(index + 1);
+            if (!line) continue;
+
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                logger.warn(`Invalid JSON from MCP server: ${this.name}`, { line });
+                continue;
+            }
+            if (typeof message !== 'object' || message === null || Array.isArray(message)) {
+                logger.warn(`Unexpected message from MCP server: ${this.name}`, { line });
+                continue;
+            }
+            this.handleMessage(message);
+        }
+    }
+
+    /**
+     * Handle a message from the server
+     * @param {object} message JSON-RPC message
+     */
+    handleMessage(message) {
+        if (isResponse(message)) {
+            const pending = this.pending.get(message.id);
+            if (!pending) {
+                logger.debug(`Unknown response ID from MCP server: ${this.name}`, { id: message.id });
+                return;
+            }
+
+            this.pending.delete(message.id);
+            clearTimeout(pending.timer);
+            pending.cleanup();
+            if (message.error) {
+                pending.reject(fromJsonRpcError(message.error));
+            } else {
+                pending.resolve(message.result);
+            }
+            return;
+        }
+
+        // Requests from the server
+        if (message.id !== undefined) {
+            if (message.method === 'ping') {
+                this.write(createResponse(message.id, {}));
+            } else {
+                this.write(createErrorResponse(message.id, new MCPError(
+                    ErrorCodes.METHOD_NOT_FOUND,
+                    `Method not found: ${message.method}`
+                )));
+            }
+            return;
+        }
+
+        // Notifications from the server
+        if (message.method === 'notifications/tools/list_changed') {
+            this.emit('tools_changed');
+        } else if (message.method === 'notifications/progress') {
+            this.progressHandlers.get(message.params?.progressToken)?.(message.params);
+        }
+    }
+
+    /**
+     * Clean up after the process has ended
+     */
+    handleExit() {
+        if (!this.process) return;
+        this.process = null;
+        this.buffer = '';
+
+        for (const pending of this.pending.values()) {
+            clearTimeout(pending.timer);
+            pending.cleanup();
+            pending.reject(new MCPError(
+                ErrorCodes.SERVER_ERROR,
+                `MCP server exited: ${this.name}`
+            ));
+        }
+        this.pending.clear();
+
+        this.emit('exit');
+    }
+}
+
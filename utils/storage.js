@@ -0,0 +1,131 @@
+/**
+ * Settings persistence for MCP extension
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { MCPError, ErrorCodes } from './errors.js';
+import { logger } from './logger.js';
+
+/**
+ * Version of the settings file format written by this release
+ */
+export const SETTINGS_VERSION = 1;
+
+/**
+ * Settings migrations keyed by the version they upgrade from
+ *
+ * Each migration receives settings stored at its version and returns them
+ * in the shape of the next version. Add an entry here and bump
+ * SETTINGS_VERSION whenever a setting is renamed, moved or changes meaning.
+ */
+const MIGRATIONS = {
+    // Unversioned files hold the bare settings object, which has the version 1 shape
+    0: (settings) => settings
+};
+
+/**
+ * Write a file so that readers see either the old or the new content
+ * @param {string} file File path
+ * @param {string} data File content
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    // Write and flush a temporary file, then rename it over the target
+    const temp = `${file}.${process.pid}.tmp`;
+    const handle = await fs.open(temp, 'w');
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(temp, file);
+}
+
+/**
+ * Upgrade stored settings to the current version
+ * @param {object} stored Parsed settings file
+ * @returns {object} { settings, migrated } with settings in the current shape
+ * @throws {MCPError} If the file was written by a newer release or is malformed
+ */
+export function migrateSettings(stored) {
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Settings file must contain an object'
+        );
+    }
+
+    const unversioned = stored.version === undefined;
+    const version = unversioned ? 0 : stored.version;
+    let settings = unversioned ? stored : stored.settings;
+
+    if (!Number.isInteger(version) || version < 0) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Invalid settings version: ${version}`
+        );
+    }
+
+    if (version > SETTINGS_VERSION) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Settings file version ${version} is newer than supported version ${SETTINGS_VERSION}`
+        );
+    }
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Stored settings must be an object'
+        );
+    }
+
+    for (let current = version; current < SETTINGS_VERSION; current++) {
+        logger.info(`Migrating settings from version ${current} to ${current + 1}`);
+        settings = MIGRATIONS[current](settings);
+    }
+
+    return { settings, migrated: version < SETTINGS_VERSION };
+}
+
+/**
+ * Read stored settings
+ * @param {string} file Settings file path
+ * @returns {Promise<object|null>} { settings, migrated }, or null if no file exists
+ * @throws {MCPError} If the file cannot be parsed or migrated
+ */
+export async function readSettingsFile(file) {
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    let stored;
+    try {
+        stored = JSON.parse(text);
+    } catch (error) {
+        throw new MCPError(
+            ErrorCodes.PARSE_ERROR,
+            `Settings file is not valid JSON: ${error.message}`
+        );
+    }
+
+    return migrateSettings(stored);
+}
+
+/**
+ * Write settings with the current version
+ * @param {string} file Settings file path
+ * @param {object} settings Settings to store
+ * @returns {Promise<void>}
+ */
+export function writeSettingsFile(file, settings) {
+    return writeFileAtomic(file, JSON.stringify({ version: SETTINGS_VERSION, settings }, null, 4) + '\n');
+}
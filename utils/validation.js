@@ -3,6 +3,191 @@
  */
 
 import { MCPError, ErrorCodes } from './errors.js';
+import { validateToolSchema, validateSchema as checkSchema, validateResourceUri } from './schema.js';
+import { SETTINGS_SCHEMA } from './settings.js';
+import { findPlaceholders } from './prompts.js';
+import { checkScript } from './sandbox.js';
+
+/**
+ * JSON Schema for the optional descriptive fields of a tool registration
+ *
+ * The annotation hints follow the MCP tool annotations. They describe the
+ * tool to clients and are not enforced by the extension.
+ */
+const TOOL_METADATA_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+        version: { type: 'string' },
+        icon: { type: 'string', minLength: 1 },
+        tags: { type: 'array', items: { type: 'string', minLength: 1 }, uniqueItems: true },
+        annotations: {
+            type: 'object',
+            properties: {
+                title: { type: 'string' },
+                readOnlyHint: { type: 'boolean' },
+                destructiveHint: { type: 'boolean' },
+                idempotentHint: { type: 'boolean' },
+                openWorldHint: { type: 'boolean' }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+/**
+ * JSON Schema for base64 encoded content
+ */
+const BASE64 = { type: 'string', pattern: '^[A-Za-z0-9+/]*={0,2}$' };
+
+/**
+ * JSON Schema for the annotations of content blocks and resources
+ */
+const CONTENT_ANNOTATIONS_SCHEMA = {
+    type: 'object',
+    properties: {
+        audience: { type: 'array', items: { enum: ['user', 'assistant'] } },
+        priority: { type: 'number', minimum: 0, maximum: 1 },
+        lastModified: { type: 'string', format: 'date-time' }
+    }
+};
+
+/**
+ * JSON Schema for the contents of a resource, given as text or a base64 blob
+ */
+const RESOURCE_CONTENTS_SCHEMA = {
+    type: 'object',
+    required: ['uri'],
+    properties: {
+        uri: { type: 'string', minLength: 1 },
+        mimeType: { type: 'string' },
+        text: { type: 'string' },
+        blob: BASE64
+    },
+    oneOf: [{ required: ['text'] }, { required: ['blob'] }]
+};
+
+/**
+ * JSON Schema for the optional descriptive fields of a resource registration
+ */
+const RESOURCE_METADATA_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+        mimeType: { type: 'string' },
+        size: { type: 'integer', minimum: 0 },
+        annotations: CONTENT_ANNOTATIONS_SCHEMA
+    }
+};
+
+/**
+ * JSON Schema for a content block of a structured tool result
+ *
+ * The block types follow MCP: text, base64 image and audio, a resource
+ * embedded with its text or blob, and a link to a resource.
+ */
+const CONTENT_BLOCK_SCHEMA = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { enum: ['text', 'image', 'audio', 'resource', 'resource_link'] },
+        annotations: CONTENT_ANNOTATIONS_SCHEMA
+    },
+    allOf: [
+        {
+            if: { properties: { type: { const: 'text' } } },
+            then: { required: ['text'], properties: { text: { type: 'string' } } }
+        },
+        {
+            if: { properties: { type: { const: 'image' } } },
+            then: {
+                required: ['data', 'mimeType'],
+                properties: { data: BASE64, mimeType: { type: 'string', pattern: '^image/' } }
+            }
+        },
+        {
+            if: { properties: { type: { const: 'audio' } } },
+            then: {
+                required: ['data', 'mimeType'],
+                properties: { data: BASE64, mimeType: { type: 'string', pattern: '^audio/' } }
+            }
+        },
+        {
+            if: { properties: { type: { const: 'resource' } } },
+            then: { required: ['resource'], properties: { resource: RESOURCE_CONTENTS_SCHEMA } }
+        },
+        {
+            if: { properties: { type: { const: 'resource_link' } } },
+            then: {
+                required: ['uri', 'name'],
+                properties: {
+                    uri: { type: 'string', minLength: 1 },
+                    name: { type: 'string' },
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    mimeType: { type: 'string' },
+                    size: { type: 'integer', minimum: 0 }
+                }
+            }
+        }
+    ]
+};
+
+/**
+ * JSON Schema for the fields of a prompt registration other than its name
+ */
+const PROMPT_SCHEMA = {
+    type: 'object',
+    required: ['messages'],
+    properties: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+        arguments: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    required: { type: 'boolean' },
+                    type: { enum: ['string', 'number', 'integer', 'boolean'] },
+                    enum: { type: 'array', items: { type: 'string' }, minItems: 1, uniqueItems: true }
+                },
+                additionalProperties: false
+            }
+        },
+        messages: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['role', 'content'],
+                properties: {
+                    role: { enum: ['user', 'assistant'] },
+                    content: { anyOf: [{ type: 'string' }, CONTENT_BLOCK_SCHEMA] }
+                },
+                additionalProperties: false
+            }
+        }
+    }
+};
+
+/**
+ * JSON Schema for a structured tool result
+ */
+const CALL_RESULT_SCHEMA = {
+    type: 'object',
+    required: ['content'],
+    properties: {
+        content: { type: 'array', items: CONTENT_BLOCK_SCHEMA },
+        structuredContent: { type: 'object' },
+        isError: { type: 'boolean' }
+    }
+};
 
 /**
  * Validate tool registration data
@@ -32,6 +217,62 @@ export function validateToolRegistration(data) {
     }
 
     validateSchema(data.schema);
+
+    if (data.requiresApproval !== undefined && typeof data.requiresApproval !== 'boolean') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'requiresApproval must be a boolean if provided'
+        );
+    }
+
+    if (data.timeout !== undefined && !isTimeout(data.timeout)) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Tool timeout must be a positive integer if provided'
+        );
+    }
+
+    // Tools imported from MCP servers leave fields they do not have undefined
+    const metadata = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+    const result = checkSchema(metadata, TOOL_METADATA_SCHEMA);
+    if (!result.valid) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Invalid tool metadata: ${result.errors[0]}`,
+            { errors: result.errors }
+        );
+    }
+
+    if (data.outputSchema !== undefined) {
+        if (!data.outputSchema || typeof data.outputSchema !== 'object') {
+            throw new MCPError(
+                ErrorCodes.INVALID_SCHEMA,
+                'Tool output schema must be an object if provided'
+            );
+        }
+        validateSchema(data.outputSchema);
+    }
+}
+
+/**
+ * Validate tool unregistration data
+ * @param {object} data Unregistration data
+ * @throws {MCPError} If validation fails
+ */
+export function validateToolUnregistration(data) {
+    if (!data || typeof data !== 'object') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Tool unregistration data must be an object'
+        );
+    }
+
+    if (!data.name || typeof data.name !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_NAME,
+            'Tool name must be a non-empty string'
+        );
+    }
 }
 
 /**
@@ -67,184 +308,673 @@ export function validateToolExecution(data) {
             'Tool arguments must be an object if provided'
         );
     }
+
+    if (data.timeout !== undefined && !isTimeout(data.timeout)) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Execution timeout must be a positive integer if provided'
+        );
+    }
 }
 
 /**
- * Validate JSON schema
- * @param {object} schema JSON schema
+ * Validate execution cancellation data
+ * @param {object} data Cancellation data
  * @throws {MCPError} If validation fails
  */
-export function validateSchema(schema) {
-    if (!schema || typeof schema !== 'object') {
+export function validateCancellation(data) {
+    if (!data || typeof data !== 'object') {
         throw new MCPError(
-            ErrorCodes.INVALID_SCHEMA,
-            'Schema must be an object'
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Cancellation data must be an object'
         );
     }
 
-    if (!schema.type) {
+    if (!data.executionId || typeof data.executionId !== 'string') {
         throw new MCPError(
-            ErrorCodes.INVALID_SCHEMA,
-            'Schema must have a type'
-        );
-    }
-
-    switch (schema.type) {
-        case 'object':
-            validateObjectSchema(schema);
-            break;
-        case 'array':
-            validateArraySchema(schema);
-            break;
-        case 'string':
-        case 'number':
-        case 'integer':
-        case 'boolean':
-        case 'null':
-            // Basic types are valid as-is
-            break;
-        default:
-            throw new MCPError(
-                ErrorCodes.INVALID_SCHEMA,
-                `Invalid schema type: ${schema.type}`
-            );
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Tool execution ID must be a non-empty string'
+        );
+    }
+
+    if (data.reason !== undefined && typeof data.reason !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Cancellation reason must be a string if provided'
+        );
     }
 }
 
 /**
- * Validate object schema
- * @param {object} schema Object schema
+ * Validate tool execution result data
+ * @param {object} data Result data
  * @throws {MCPError} If validation fails
  */
-function validateObjectSchema(schema) {
-    if (schema.properties) {
-        if (typeof schema.properties !== 'object') {
-            throw new MCPError(
-                ErrorCodes.INVALID_SCHEMA,
-                'Object properties must be an object'
-            );
-        }
+export function validateToolResult(data) {
+    if (!data || typeof data !== 'object') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Tool result data must be an object'
+        );
+    }
 
-        // Validate each property schema
-        Object.values(schema.properties).forEach(validateSchema);
+    if (!data.executionId || typeof data.executionId !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Tool execution ID must be a non-empty string'
+        );
     }
 
-    if (schema.required) {
-        if (!Array.isArray(schema.required)) {
+    if (data.error !== undefined && (!data.error || typeof data.error !== 'object')) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Tool error must be an object if provided'
+        );
+    }
+}
+
+/**
+ * Check if a tool result is a structured result with content blocks
+ * @param {any} result Tool result
+ * @returns {boolean} True if the result has a content array
+ */
+export function isStructuredResult(result) {
+    return Array.isArray(result?.content);
+}
+
+/**
+ * Validate the result of a tool call
+ *
+ * Results without a content array are passed through as they are. A tool
+ * that declares an output schema must return a structured result whose
+ * structuredContent matches it, unless the result reports an error.
+ * @param {any} result Tool result
+ * @param {object} [outputSchema] Output schema of the tool
+ * @throws {MCPError} If validation fails
+ */
+export function validateToolCallResult(result, outputSchema) {
+    if (isStructuredResult(result)) {
+        const validation = checkSchema(result, CALL_RESULT_SCHEMA);
+        if (!validation.valid) {
             throw new MCPError(
-                ErrorCodes.INVALID_SCHEMA,
-                'Required properties must be an array'
+                ErrorCodes.TOOL_EXECUTION_FAILED,
+                `Invalid tool result: ${validation.errors[0]}`,
+                { errors: validation.errors }
             );
         }
+    }
+
+    if (!outputSchema || result?.isError === true) return;
 
-        if (!schema.properties) {
+    if (!isStructuredResult(result) || result.structuredContent === undefined) {
+        throw new MCPError(
+            ErrorCodes.TOOL_EXECUTION_FAILED,
+            'Tool result must include structuredContent matching the output schema'
+        );
+    }
+
+    const validation = checkSchema(result.structuredContent, outputSchema);
+    if (!validation.valid) {
+        throw new MCPError(
+            ErrorCodes.TOOL_EXECUTION_FAILED,
+            `structuredContent does not match the output schema: ${validation.errors[0]}`,
+            { errors: validation.errors }
+        );
+    }
+}
+
+/**
+ * Validate tool execution progress data
+ * @param {object} data Progress data
+ * @throws {MCPError} If validation fails
+ */
+export function validateToolProgress(data) {
+    if (!data || typeof data !== 'object') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Tool progress data must be an object'
+        );
+    }
+
+    if (!data.executionId || typeof data.executionId !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Tool execution ID must be a non-empty string'
+        );
+    }
+
+    if (data.progress !== undefined
+        && (typeof data.progress !== 'number' || !(data.progress >= 0 && data.progress <= 100))) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Progress must be a number between 0 and 100 if provided'
+        );
+    }
+
+    if (data.message !== undefined && typeof data.message !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Progress message must be a string if provided'
+        );
+    }
+
+    if (data.content !== undefined && typeof data.content !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Progress content must be a string if provided'
+        );
+    }
+}
+
+/**
+ * Validate resource registration data
+ * @param {object} data Registration data with either uri or uriTemplate
+ * @throws {MCPError} If validation fails
+ */
+export function validateResourceRegistration(data) {
+    if (!data || typeof data !== 'object') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Resource registration data must be an object'
+        );
+    }
+
+    validateResourceKey(data);
+
+    if (data.uriTemplate !== undefined) {
+        // Strip the expressions and check that no other braces remain
+        const literal = data.uriTemplate.replace(/\{\+?[A-Za-z0-9_]+\}/g, '');
+        if (literal === data.uriTemplate || /[{}]/.test(literal)) {
             throw new MCPError(
-                ErrorCodes.INVALID_SCHEMA,
-                'Cannot have required properties without properties definition'
+                ErrorCodes.INVALID_URI,
+                'URI template must contain {name} or {+name} expressions and no other braces'
             );
         }
+    }
 
-        // Validate each required property exists in properties
-        schema.required.forEach(prop => {
-            if (!schema.properties[prop]) {
-                throw new MCPError(
-                    ErrorCodes.INVALID_SCHEMA,
-                    `Required property not defined: ${prop}`
-                );
-            }
-        });
+    if (!data.name || typeof data.name !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_NAME,
+            'Resource name must be a non-empty string'
+        );
+    }
+
+    const result = checkSchema(data, RESOURCE_METADATA_SCHEMA);
+    if (!result.valid) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Invalid resource metadata: ${result.errors[0]}`,
+            { errors: result.errors }
+        );
     }
 }
 
 /**
- * Validate array schema
- * @param {object} schema Array schema
+ * Validate resource unregistration data
+ * @param {object} data Unregistration data with either uri or uriTemplate
  * @throws {MCPError} If validation fails
  */
-function validateArraySchema(schema) {
-    if (!schema.items) {
+export function validateResourceUnregistration(data) {
+    if (!data || typeof data !== 'object') {
         throw new MCPError(
-            ErrorCodes.INVALID_SCHEMA,
-            'Array schema must have items definition'
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Resource unregistration data must be an object'
+        );
+    }
+
+    validateResourceKey(data);
+}
+
+/**
+ * Validate data that refers to a resource by URI
+ *
+ * Used for reads, subscriptions and update notifications.
+ * @param {object} data Data { uri }
+ * @throws {MCPError} If validation fails
+ */
+export function validateResourceReference(data) {
+    if (!data || typeof data !== 'object') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Resource data must be an object'
         );
     }
 
-    // Validate items schema
-    validateSchema(schema.items);
+    if (!data.uri || typeof data.uri !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_URI,
+            'Resource URI must be a non-empty string'
+        );
+    }
+}
+
+/**
+ * Validate a resource read request from a WebSocket client
+ * @param {object} data Read data { requestId, uri }
+ * @throws {MCPError} If validation fails
+ */
+export function validateResourceRead(data) {
+    validateResourceReference(data);
+
+    if (!data.requestId || typeof data.requestId !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Resource request ID must be a non-empty string'
+        );
+    }
+}
 
-    // Validate array constraints
-    if (schema.minItems !== undefined && typeof schema.minItems !== 'number') {
+/**
+ * Validate a resource read result reported by the owner
+ * @param {object} data Result data { requestId, contents } or { requestId, error }
+ * @throws {MCPError} If validation fails
+ */
+export function validateResourceResult(data) {
+    if (!data || typeof data !== 'object') {
         throw new MCPError(
-            ErrorCodes.INVALID_SCHEMA,
-            'minItems must be a number'
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Resource result data must be an object'
         );
     }
 
-    if (schema.maxItems !== undefined && typeof schema.maxItems !== 'number') {
+    if (!data.requestId || typeof data.requestId !== 'string') {
         throw new MCPError(
-            ErrorCodes.INVALID_SCHEMA,
-            'maxItems must be a number'
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Resource request ID must be a non-empty string'
+        );
+    }
+
+    if (data.error !== undefined && (!data.error || typeof data.error !== 'object')) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Resource error must be an object if provided'
+        );
+    }
+}
+
+/**
+ * Validate the contents returned for a resource read
+ * @param {any} contents Resource contents
+ * @throws {MCPError} If validation fails
+ */
+export function validateResourceContents(contents) {
+    const result = checkSchema(contents, { type: 'array', items: RESOURCE_CONTENTS_SCHEMA });
+    if (!result.valid) {
+        throw new MCPError(
+            ErrorCodes.SERVER_ERROR,
+            `Invalid resource contents: ${result.errors[0]}`,
+            { errors: result.errors }
+        );
+    }
+}
+
+/**
+ * Validate prompt registration data
+ * @param {object} data Registration data
+ * @throws {MCPError} If validation fails
+ */
+export function validatePromptRegistration(data) {
+    if (!data || typeof data !== 'object') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Prompt registration data must be an object'
+        );
+    }
+
+    if (!data.name || typeof data.name !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_NAME,
+            'Prompt name must be a non-empty string'
+        );
+    }
+
+    const result = checkSchema(data, PROMPT_SCHEMA);
+    if (!result.valid) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Invalid prompt: ${result.errors[0]}`,
+            { errors: result.errors }
+        );
+    }
+
+    const names = (data.arguments ?? []).map(argument => argument.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate !== undefined) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Duplicate prompt argument: ${duplicate}`
+        );
+    }
+
+    const undeclared = findPlaceholders(data.messages).filter(name => !names.includes(name));
+    if (undeclared.length > 0) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            `Prompt uses undeclared argument: ${undeclared[0]}`,
+            { arguments: undeclared }
+        );
+    }
+}
+
+/**
+ * Validate prompt unregistration data
+ * @param {object} data Unregistration data
+ * @throws {MCPError} If validation fails
+ */
+export function validatePromptUnregistration(data) {
+    validatePromptName(data);
+}
+
+/**
+ * Validate a request to render a prompt
+ * @param {object} data Request data { name, arguments }
+ * @throws {MCPError} If validation fails
+ */
+export function validatePromptGet(data) {
+    validatePromptName(data);
+
+    const args = data.arguments;
+    if (args !== undefined && (!args || typeof args !== 'object' || Array.isArray(args))) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Prompt arguments must be an object if provided'
         );
     }
+}
 
-    if (schema.uniqueItems !== undefined && typeof schema.uniqueItems !== 'boolean') {
+/**
+ * Validate a prompt request from a WebSocket client
+ * @param {object} data Request data { requestId, name, arguments }
+ * @throws {MCPError} If validation fails
+ */
+export function validatePromptRequest(data) {
+    validatePromptGet(data);
+
+    if (!data.requestId || typeof data.requestId !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Prompt request ID must be a non-empty string'
+        );
+    }
+}
+
+/**
+ * Validate JSON-RPC request or notification
+ * @param {object} message JSON-RPC message
+ * @throws {MCPError} If validation fails
+ */
+export function validateJsonRpcMessage(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        throw new MCPError(
+            ErrorCodes.INVALID_REQUEST,
+            'JSON-RPC message must be an object'
+        );
+    }
+
+    if (message.jsonrpc !== '2.0') {
+        throw new MCPError(
+            ErrorCodes.INVALID_REQUEST,
+            'JSON-RPC version must be 2.0'
+        );
+    }
+
+    if (!message.method || typeof message.method !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_REQUEST,
+            'JSON-RPC method must be a non-empty string'
+        );
+    }
+
+    if (message.id !== undefined && typeof message.id !== 'string' && !Number.isInteger(message.id)) {
+        throw new MCPError(
+            ErrorCodes.INVALID_REQUEST,
+            'JSON-RPC ID must be a string or integer'
+        );
+    }
+
+    if (message.params !== undefined && (!message.params || typeof message.params !== 'object')) {
+        throw new MCPError(
+            ErrorCodes.INVALID_REQUEST,
+            'JSON-RPC params must be an object or array if provided'
+        );
+    }
+}
+
+/**
+ * Validate MCP tools/call parameters
+ * @param {object} params Call parameters
+ * @throws {MCPError} If validation fails
+ */
+export function validateToolCall(params) {
+    if (!params || typeof params !== 'object') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Tool call params must be an object'
+        );
+    }
+
+    if (!params.name || typeof params.name !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_NAME,
+            'Tool name must be a non-empty string'
+        );
+    }
+
+    if (params.arguments !== undefined && (!params.arguments || typeof params.arguments !== 'object' || Array.isArray(params.arguments))) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Tool arguments must be an object if provided'
+        );
+    }
+
+    const progressToken = params._meta?.progressToken;
+    if (progressToken !== undefined && typeof progressToken !== 'string' && !Number.isInteger(progressToken)) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Progress token must be a string or integer if provided'
+        );
+    }
+}
+
+/**
+ * Validate JSON schema
+ * @param {object} schema JSON schema
+ * @throws {MCPError} If validation fails
+ */
+export function validateSchema(schema) {
+    const result = validateToolSchema(schema);
+    if (!result.valid) {
         throw new MCPError(
             ErrorCodes.INVALID_SCHEMA,
-            'uniqueItems must be a boolean'
+            `Invalid schema: ${result.errors[0]}`,
+            { errors: result.errors }
         );
     }
 }
 
 /**
- * Validate settings object
- * @param {object} settings Settings object
+ * Validate settings against the settings schema
+ * @param {object} settings Complete settings
  * @throws {MCPError} If validation fails
  */
 export function validateSettings(settings) {
-    if (!settings || typeof settings !== 'object') {
+    const result = checkSchema(settings, SETTINGS_SCHEMA);
+    if (!result.valid) {
         throw new MCPError(
             ErrorCodes.INVALID_ARGUMENTS,
-            'Settings must be an object'
+            `Invalid settings: ${result.errors[0]}`,
+            { errors: result.errors }
         );
     }
 
-    // Validate WebSocket settings
-    if (settings.websocket) {
-        if (typeof settings.websocket !== 'object') {
+    const names = new Set();
+    for (const tool of settings.scriptTools ?? []) {
+        if (names.has(tool.name)) {
             throw new MCPError(
-                ErrorCodes.INVALID_ARGUMENTS,
-                'WebSocket settings must be an object'
+                ErrorCodes.INVALID_NAME,
+                `Duplicate script tool name: ${tool.name}`
             );
         }
+        names.add(tool.name);
+        validateScriptTool(tool);
+    }
+}
 
-        if (settings.websocket.port !== undefined) {
-            const port = settings.websocket.port;
-            if (!Number.isInteger(port) || port < 1024 || port > 65535) {
-                throw new MCPError(
-                    ErrorCodes.INVALID_ARGUMENTS,
-                    'WebSocket port must be an integer between 1024 and 65535'
-                );
-            }
-        }
+/**
+ * Validate a script tool from settings
+ * @param {object} tool Script tool { name, title, description, schema, code, timeout, requiresApproval }
+ * @throws {MCPError} If the tool definition or its code is invalid
+ */
+function validateScriptTool({ name, title, description, schema, code, timeout, requiresApproval }) {
+    validateToolRegistration({ name, title, description, schema, timeout, requiresApproval });
+    checkScript(code);
+}
+
+/**
+ * Validate token creation data
+ * @param {object} data Token data
+ * @throws {MCPError} If validation fails
+ */
+export function validateTokenCreation(data) {
+    if (!data || typeof data !== 'object') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Token data must be an object'
+        );
+    }
+
+    if (!data.name || typeof data.name !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_NAME,
+            'Token name must be a non-empty string'
+        );
+    }
+}
+
+/**
+ * Validate approval decision data
+ * @param {object} data Decision data
+ * @throws {MCPError} If validation fails
+ */
+export function validateApprovalDecision(data) {
+    if (!data || typeof data !== 'object') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Approval data must be an object'
+        );
+    }
+
+    if (!data.executionId || typeof data.executionId !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Tool execution ID must be a non-empty string'
+        );
     }
 
-    // Validate logging settings
-    if (settings.logging) {
-        if (typeof settings.logging !== 'object') {
+    if (data.reason !== undefined && typeof data.reason !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Denial reason must be a string if provided'
+        );
+    }
+}
+
+/**
+ * Validate execution history query parameters
+ * @param {object} query Query string parameters
+ * @throws {MCPError} If validation fails
+ */
+export function validateHistoryQuery(query) {
+    for (const key of ['tool', 'status', 'client', 'since', 'until', 'limit', 'offset']) {
+        if (query[key] !== undefined && typeof query[key] !== 'string') {
             throw new MCPError(
                 ErrorCodes.INVALID_ARGUMENTS,
-                'Logging settings must be an object'
+                `Query parameter ${key} must be given once`
             );
         }
+    }
 
-        if (settings.logging.level !== undefined) {
-            const validLevels = ['debug', 'info', 'warn', 'error'];
-            if (!validLevels.includes(settings.logging.level)) {
-                throw new MCPError(
-                    ErrorCodes.INVALID_ARGUMENTS,
-                    `Invalid log level: ${settings.logging.level}`
-                );
-            }
+    if (query.status !== undefined && !['success', 'error', 'cancelled'].includes(query.status)) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'status must be one of success, error or cancelled'
+        );
+    }
+
+    for (const key of ['since', 'until']) {
+        if (query[key] !== undefined && Number.isNaN(Date.parse(query[key]))) {
+            throw new MCPError(
+                ErrorCodes.INVALID_ARGUMENTS,
+                `${key} must be a date`
+            );
         }
     }
-}
\ No newline at end of file
+
+    if (query.limit !== undefined && !/^[1-9][0-9]{0,2}$|^1000$/.test(query.limit)) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'limit must be an integer between 1 and 1000'
+        );
+    }
+
+    if (query.offset !== undefined && !/^[0-9]+$/.test(query.offset)) {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'offset must be a non-negative integer'
+        );
+    }
+}
+
+/**
+ * Check that data names exactly one valid resource URI or URI template
+ * @param {object} data Data with uri or uriTemplate
+ * @throws {MCPError} If neither or both are given, or the value is invalid
+ */
+function validateResourceKey(data) {
+    if ((data.uri === undefined) === (data.uriTemplate === undefined)) {
+        throw new MCPError(
+            ErrorCodes.INVALID_URI,
+            'Exactly one of uri and uriTemplate must be provided'
+        );
+    }
+
+    const value = data.uri ?? data.uriTemplate;
+    const result = validateResourceUri(value);
+    if (!result.valid) {
+        throw new MCPError(
+            ErrorCodes.INVALID_URI,
+            `Invalid resource URI: ${result.errors[0]}`,
+            { errors: result.errors }
+        );
+    }
+}
+
+/**
+ * Check that data is an object naming a prompt
+ * @param {object} data Data { name }
+ * @throws {MCPError} If data is not an object or the name is invalid
+ */
+function validatePromptName(data) {
+    if (!data || typeof data !== 'object') {
+        throw new MCPError(
+            ErrorCodes.INVALID_ARGUMENTS,
+            'Prompt data must be an object'
+        );
+    }
+
+    if (!data.name || typeof data.name !== 'string') {
+        throw new MCPError(
+            ErrorCodes.INVALID_NAME,
+            'Prompt name must be a non-empty string'
+        );
+    }
+}
+
+/**
+ * Check if a value is a valid timeout
+ * @param {any} value Value to check
+ * @returns {boolean} True if value is a positive integer of milliseconds
+ */
+function isTimeout(value) {
+    return Number.isInteger(value) && value > 0;
+}